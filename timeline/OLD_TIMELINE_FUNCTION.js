@@ -11,12 +11,22 @@ const hoverMarkerStick = document.getElementById("timeline-hover-marker-stick");
 const globalHoverBubble = document.getElementById('global-hover-bubble');
 const timelineCanvas = document.getElementById('timeline-canvas');
 
+// ===== Tick Density Limits =====
+const MIN_TICK_SPACING_PX = 6;            // Closest two ticks may be drawn
+const MIN_SUBTICK_LABEL_SPACING_PX = 28;  // Subtick width needed before subticks are labeled
+const MIN_YEAR_LABEL_SPACING_PX = 70;     // Distance needed between two year labels
+
 // ===== TimelineCanvas Class =====
 class TimelineCanvas {
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        this.customScale = 1;   // App level scale factor (custom scaling setting)
+        this.pixelRatio = 1;    // Backing store pixels per CSS pixel
+        this.cssWidth = 0;
+        this.cssHeight = 0;
         this.resizeCanvas();
+        this.watchPixelRatio();
         
         // Debug logging
         console.log('TimelineCanvas initialized:', {
@@ -30,16 +40,45 @@ class TimelineCanvas {
         window.addEventListener('resize', () => this.resizeCanvas());
     }
 
+    /**
+     * Sizes the backing store to the device pixel ratio times the custom scale factor,
+     * while keeping the CSS size and all drawing coordinates in CSS pixels
+     */
     resizeCanvas() {
         const rect = this.canvas.parentElement.getBoundingClientRect();
-        this.canvas.width = rect.width;
-        this.canvas.height = rect.height;
-        
-        // Debug logging
-        console.log('Canvas resized:', {
-            width: this.canvas.width,
-            height: this.canvas.height
-        });
+        this.pixelRatio = (window.devicePixelRatio || 1) * this.customScale;
+        this.cssWidth = rect.width;
+        this.cssHeight = rect.height;
+
+        this.canvas.style.width = `${rect.width}px`;
+        this.canvas.style.height = `${rect.height}px`;
+        this.canvas.width = Math.round(rect.width * this.pixelRatio);
+        this.canvas.height = Math.round(rect.height * this.pixelRatio);
+
+        // Resizing resets the context, so map CSS pixels onto the backing store again
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    }
+
+    /**
+     * Resizes the canvas whenever devicePixelRatio changes (browser zoom, moving to another monitor)
+     */
+    watchPixelRatio() {
+        if (!window.matchMedia) return;
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', () => {
+            this.resizeCanvas();
+            renderTimeline();
+            this.watchPixelRatio();
+        }, { once: true });
+    }
+
+    /**
+     * Sets the app's custom scale factor and resizes the backing store
+     * @param {number} scale - Custom scale factor (1 for none)
+     */
+    setCustomScale(scale) {
+        this.customScale = scale > 0 ? scale : 1;
+        this.resizeCanvas();
     }
 
     drawTick(x, isFullYear, year = null) {
@@ -90,7 +129,7 @@ class TimelineCanvas {
             const offsetX = canvasSettings ? (canvasSettings.textOffsetX || 0) : 0;
             const offsetY = canvasSettings ? (canvasSettings.textOffsetY || 0) : 0;
             
-            ctx.fillText(year.toString(), x + offsetX, centerY + 25 + offsetY);
+            ctx.fillText(formatCalendarYear(year), x + offsetX, centerY + 25 + offsetY);
         }
     }
 
@@ -102,7 +141,7 @@ class TimelineCanvas {
         if (isHighlighted) {
             // Add glow effect
             ctx.shadowColor = '#4a90e2'; // Blue glow color
-            ctx.shadowBlur = 10;
+            ctx.shadowBlur = 10 * this.pixelRatio; // Shadow blur ignores the transform
             ctx.strokeStyle = '#4a90e2'; // Brighter blue for the line
             ctx.lineWidth = 2;
         } else {
@@ -118,6 +157,178 @@ class TimelineCanvas {
         ctx.shadowBlur = 0;
     }
 
+    getSubtickLabelFont() {
+        const canvasSettings = window.timelineCanvasSettings;
+        const fontSize = Math.max(8, Math.round((canvasSettings && canvasSettings.fontSize || 12) * 0.75));
+        return `${canvasSettings ? (canvasSettings.fontStyle || 'normal') : 'normal'} ${fontSize}px ${canvasSettings ? (canvasSettings.fontFamily || 'Arial') : 'Arial'}`;
+    }
+
+    /**
+     * Calculates how wide a subtick must be before its label fits
+     * @returns {number} Minimum subtick width in pixels
+     */
+    getSubtickLabelSpacing() {
+        if (!timelineCalendar) return MIN_SUBTICK_LABEL_SPACING_PX;
+
+        // Named subticks need room for their longest name; only re-measured when the calendar or font changes
+        const font = this.getSubtickLabelFont();
+        const cached = this.subtickLabelSpacing;
+        if (cached && cached.calendar === timelineCalendar && cached.font === font) {
+            return cached.spacing;
+        }
+        this.ctx.font = font;
+        let widest = 0;
+        for (let subtick = 0; subtick < timelineState.granularity; subtick++) {
+            widest = Math.max(widest, this.ctx.measureText(getSubtickLabel(subtick)).width);
+        }
+        const spacing = Math.max(MIN_SUBTICK_LABEL_SPACING_PX, widest + 8);
+        this.subtickLabelSpacing = { calendar: timelineCalendar, font, spacing };
+        return spacing;
+    }
+
+    drawSubtickLabel(x, label) {
+        const ctx = this.ctx;
+        const containerRect = container.getBoundingClientRect();
+        const centerY = containerRect.height / 2;
+
+        const canvasSettings = window.timelineCanvasSettings;
+        if (canvasSettings && canvasSettings.showYearMarkers === false) {
+            return;
+        }
+
+        ctx.fillStyle = canvasSettings ? (canvasSettings.textColor || '#4b2e2e') : '#4b2e2e';
+        ctx.font = this.getSubtickLabelFont();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(label, x, centerY - 12);
+    }
+
+    /**
+     * Draws ticks and labels between two years with a density chosen from the zoom level
+     * @param {number} leftYear - Leftmost visible year
+     * @param {number} rightYear - Rightmost visible year
+     * @param {number} width - Visible width in CSS pixels
+     *
+     * When a subtick is wide enough, every subtick gets a tick (and a label once there is
+     * room for one). When zoomed further out, ticks fall back to the smallest power of ten
+     * in years (decade, century, millennium, ...) that keeps them apart. Year labels always
+     * sit on the smallest power of ten that leaves room for the text.
+     */
+    drawTicks(leftYear, rightYear, width) {
+        const { focusYear, granularity, pixelsPerSubtick, offsetPx } = timelineState;
+        const centerX = width / 2;
+        const pixelsPerYear = pixelsPerSubtick * granularity;
+        const toX = (year) => centerX + (year - focusYear) * pixelsPerYear + offsetPx;
+
+        // Smallest power-of-ten year step that leaves room between two year labels
+        let labelStep = 1;
+        while (labelStep * pixelsPerYear < MIN_YEAR_LABEL_SPACING_PX) labelStep *= 10;
+
+        if (pixelsPerSubtick >= MIN_TICK_SPACING_PX) {
+            const showSubtickLabels = pixelsPerSubtick >= this.getSubtickLabelSpacing();
+            const startSubtick = Math.floor(leftYear * granularity);
+            const endSubtick = Math.ceil(rightYear * granularity);
+
+            for (let i = startSubtick; i <= endSubtick; i++) {
+                const x = toX(i / granularity);
+                if (x < 0 || x > width) continue;
+
+                const subtick = ((i % granularity) + granularity) % granularity;
+                const isFullYear = subtick === 0;
+                const year = Math.round(i / granularity);
+                this.drawTick(x, isFullYear, isFullYear && year % labelStep === 0 ? year : null);
+                if (showSubtickLabels && !isFullYear) {
+                    this.drawSubtickLabel(x, getSubtickLabel(subtick));
+                }
+            }
+            return;
+        }
+
+        // Smallest power-of-ten year step that keeps ticks apart
+        let tickStep = 1;
+        while (tickStep * pixelsPerYear < MIN_TICK_SPACING_PX) tickStep *= 10;
+
+        const startYear = Math.floor(leftYear / tickStep) * tickStep;
+        for (let year = startYear; year <= rightYear; year += tickStep) {
+            const x = toX(year);
+            if (x < 0 || x > width) continue;
+
+            const isMajor = year % labelStep === 0;
+            this.drawTick(x, isMajor, isMajor ? year : null);
+        }
+    }
+
+    /**
+     * Draws the secondary calendar axis below the main tick line
+     * @param {number} leftYear - Leftmost visible primary year
+     * @param {number} rightYear - Rightmost visible primary year
+     * @param {number} width - Visible width in CSS pixels
+     */
+    drawSecondaryAxis(leftYear, rightYear, width) {
+        const axis = timelineState.secondaryAxis;
+        const ctx = this.ctx;
+        const canvasSettings = window.timelineCanvasSettings;
+        const axisY = this.cssHeight / 2 + 60;
+        const granularity = axis.granularity || 1;
+        const scale = axis.scale || 1;
+        const pixelsPerYear = timelineState.pixelsPerSubtick * timelineState.granularity / scale;
+        const pixelsPerSubtick = pixelsPerYear / granularity;
+        const toX = (secondaryYear) => width / 2 + (fromSecondaryYear(secondaryYear) - timelineState.focusYear) * timelineState.pixelsPerSubtick * timelineState.granularity + timelineState.offsetPx;
+
+        ctx.strokeStyle = '#00000066';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, axisY);
+        ctx.lineTo(width, axisY);
+        ctx.stroke();
+
+        ctx.fillStyle = canvasSettings ? (canvasSettings.textColor || '#4b2e2e') : '#4b2e2e';
+        ctx.font = this.getSubtickLabelFont();
+        ctx.textBaseline = 'top';
+
+        // Axis name in the left corner
+        ctx.textAlign = 'left';
+        ctx.fillText(axis.name || axis.abbreviation || '', 4, axisY + 18);
+
+        const drawAxisTick = (x, isMajor, label) => {
+            ctx.beginPath();
+            ctx.moveTo(x, axisY - (isMajor ? 6 : 3));
+            ctx.lineTo(x, axisY + (isMajor ? 6 : 3));
+            ctx.stroke();
+            if (label !== null) {
+                ctx.textAlign = 'center';
+                ctx.fillText(label, x, axisY + 8);
+            }
+        };
+
+        let labelStep = 1;
+        while (labelStep * pixelsPerYear < MIN_YEAR_LABEL_SPACING_PX) labelStep *= 10;
+
+        const secondaryLeft = toSecondaryYear(leftYear);
+        const secondaryRight = toSecondaryYear(rightYear);
+
+        if (granularity > 1 && pixelsPerSubtick >= MIN_TICK_SPACING_PX) {
+            for (let i = Math.floor(secondaryLeft * granularity); i <= Math.ceil(secondaryRight * granularity); i++) {
+                const x = toX(i / granularity);
+                if (x < 0 || x > width) continue;
+                const subtick = ((i % granularity) + granularity) % granularity;
+                const year = Math.round(i / granularity);
+                const isFullYear = subtick === 0;
+                drawAxisTick(x, isFullYear, isFullYear && year % labelStep === 0 ? `${year}` : null);
+            }
+            return;
+        }
+
+        let tickStep = 1;
+        while (tickStep * pixelsPerYear < MIN_TICK_SPACING_PX) tickStep *= 10;
+        for (let year = Math.floor(secondaryLeft / tickStep) * tickStep; year <= secondaryRight; year += tickStep) {
+            const x = toX(year);
+            if (x < 0 || x > width) continue;
+            const isMajor = year % labelStep === 0;
+            drawAxisTick(x, isMajor, isMajor ? `${year}` : null);
+        }
+    }
+
     update() {
         const { focusYear, granularity, pixelsPerSubtick, offsetPx } = timelineState;
         const containerRect = container.getBoundingClientRect();
@@ -125,7 +336,7 @@ class TimelineCanvas {
         const centerY = containerRect.height / 2;
 
         // Clear the canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.clearRect(0, 0, this.cssWidth, this.cssHeight);
 
         if(timelineState.displayRadius % 2 == 0){
             this.ctx.fillStyle = '#eedd0011';
@@ -141,21 +352,10 @@ class TimelineCanvas {
         const leftYear = focusYear - ((centerX + offsetPx) / (granularity * pixelsPerSubtick));
         const rightYear = focusYear + ((containerRect.width - centerX - offsetPx) / (granularity * pixelsPerSubtick));
 
-        // Add a buffer of subticks on both sides for edge safety
-        const bufferSubticks = granularity * (granularity < 60 ? 10 : 2);
-        const startSubtick = Math.floor(leftYear * granularity) - bufferSubticks;
-        const endSubtick = Math.ceil(rightYear * granularity) + bufferSubticks;
-
-        // Draw ticks
-        for (let i = startSubtick; i <= endSubtick; i++) {
-            const year = i / granularity;
-            const x = centerX + (year - focusYear) * pixelsPerSubtick * granularity + offsetPx;
-            const isFullYear = i % granularity === 0;
-            
-            // Only draw if the tick is within the canvas bounds
-            if (x >= 0 && x <= this.canvas.width) {
-                this.drawTick(x, isFullYear, isFullYear ? Math.floor(year) : null);
-            }
+        // Draw ticks at a density that fits the current zoom level
+        this.drawTicks(leftYear, rightYear, containerRect.width);
+        if (timelineState.secondaryAxis) {
+            this.drawSecondaryAxis(leftYear, rightYear, containerRect.width);
         }
 
         // get center year from center of the screen
@@ -166,13 +366,11 @@ class TimelineCanvas {
         visibleItems.forEach(item => {
             if (!item || item.type === 'Age' || item.type === 'Period') return;
 
-            const itemYear = parseFloat(item.year || item.date || 0);
-            const itemSubtick = parseInt(item.subtick || 0);
-            const itemX = centerX + (itemYear - focusYear) * pixelsPerSubtick * granularity + offsetPx + (itemSubtick / granularity) * pixelsPerSubtick * granularity;
+            const itemX = centerX + (TimelineDate.fromItem(item, false, granularity).toFractionalYear() - focusYear) * pixelsPerSubtick * granularity + offsetPx;
 
 
             // Only draw if the line is within the canvas bounds
-            if (itemX >= 0 && itemX <= this.canvas.width) {
+            if (itemX >= 0 && itemX <= this.cssWidth) {
                 // Find the corresponding item box using data-id
                 const itemBox = document.querySelector(`.timeline-item-box[data-id="${item.id}"], .timeline-picture-box[data-id="${item.id}"]`);
                 if (itemBox) {
@@ -213,6 +411,11 @@ window.canvas = canvas; // Make it globally accessible
  * @property {number} pixelsPerSubtick - Pixels per subtick unit
  * @property {number} offsetPx - Current horizontal offset in pixels
  * @property {Array} items - List of timeline items
+ * @property {number} minPixelsPerSubtick - Lowest zoom level (furthest zoomed out)
+ * @property {number} maxPixelsPerSubtick - Highest zoom level (furthest zoomed in)
+ * @property {boolean} clusterItems - Whether dense point items collapse into cluster badges
+ * @property {Object|null} secondaryAxis - Second calendar drawn below the main axis ({ name, abbreviation, offset, scale, granularity })
+ * @property {boolean} animateNavigation - Whether jumps animate (off for reduced motion)
  */
 const timelineState = {
     focusYear: 0,
@@ -220,7 +423,12 @@ const timelineState = {
     pixelsPerSubtick: 1,
     offsetPx: 0,
     items: [],
-    displayRadius: 10
+    displayRadius: 10,
+    minPixelsPerSubtick: 0.001,
+    maxPixelsPerSubtick: 500,
+    clusterItems: true,
+    secondaryAxis: null,
+    animateNavigation: true
 };
 
 /**
@@ -249,7 +457,7 @@ let dragStartX = null;
 let initialOffset = 0;
 let tickWidthCssOffset = 10;
 let tickOffset = 0;
-let lastMouseX = 0; // Track last mouse position for screen wrapping
+let lastMouseX = 0; // Last pointer x position over the timeline
 
 let lastHoverYear = null;
 let lastHoverSubtick = null;
@@ -260,32 +468,130 @@ let middleMouseCurrentX = 0;
 let middleMouseScrollAnim = null;
 let middleMouseStartOffset = 0;
 
+// ===== Item Interval Index =====
+/**
+ * Static interval index over timeline items
+ *
+ * Entries are sorted by start and treated as an implicit balanced binary tree (the middle
+ * of every range is the subtree root), where each root also stores the largest end in its
+ * subtree. Overlap queries skip every subtree that ends before the query range, so they
+ * cost O(log n + k) instead of a scan over all items.
+ */
+class IntervalIndex {
+    constructor() {
+        this.entries = [];
+        this.maxEnds = [];
+    }
+
+    /**
+     * Rebuilds the index
+     * @param {Array} items - Items to index (null entries are skipped)
+     * @param {number} granularity - Subticks per year used to normalize positions
+     */
+    build(items, granularity) {
+        this.entries = [];
+        items.forEach((item, order) => {
+            if (!item) return;
+            const { start, end } = getItemRange(item, granularity);
+            this.entries.push({ item, start, end, order });
+        });
+        this.entries.sort((a, b) => a.start - b.start || a.end - b.end);
+        this.maxEnds = new Array(this.entries.length);
+        this.computeMaxEnd(0, this.entries.length - 1);
+    }
+
+    computeMaxEnd(lo, hi) {
+        if (lo > hi) return -Infinity;
+        const mid = (lo + hi) >> 1;
+        this.maxEnds[mid] = Math.max(
+            this.entries[mid].end,
+            this.computeMaxEnd(lo, mid - 1),
+            this.computeMaxEnd(mid + 1, hi)
+        );
+        return this.maxEnds[mid];
+    }
+
+    /**
+     * Finds all entries overlapping a range
+     * @param {number} from - Range start (normalized year)
+     * @param {number} to - Range end (normalized year)
+     * @returns {Array<Object>} Matching entries ({ item, start, end, order }), sorted by start
+     */
+    queryEntries(from, to) {
+        const result = [];
+        const visit = (lo, hi) => {
+            if (lo > hi) return;
+            const mid = (lo + hi) >> 1;
+            // Nothing in this subtree reaches the range
+            if (this.maxEnds[mid] < from) return;
+            visit(lo, mid - 1);
+            const entry = this.entries[mid];
+            // Everything right of mid starts even later
+            if (entry.start > to) return;
+            if (entry.end >= from) result.push(entry);
+            visit(mid + 1, hi);
+        };
+        visit(0, this.entries.length - 1);
+        return result;
+    }
+
+    /**
+     * Finds all items overlapping a range, in their original payload order
+     * @param {number} from - Range start (normalized year)
+     * @param {number} to - Range end (normalized year)
+     * @returns {Array<Object>} Matching items
+     */
+    query(from, to) {
+        return this.queryEntries(from, to)
+            .sort((a, b) => a.order - b.order)
+            .map(entry => entry.item);
+    }
+}
+
+/**
+ * Normalizes an item's start and end to fractional years
+ * @param {Object} item - Timeline item
+ * @param {number} granularity - Subticks per year
+ * @returns {{start: number, end: number}} Item range
+ */
+function getItemRange(item, granularity) {
+    return {
+        start: TimelineDate.fromItem(item, false, granularity).toFractionalYear(),
+        end: TimelineDate.fromItem(item, true, granularity).toFractionalYear()
+    };
+}
+
+const itemIndex = new IntervalIndex();      // Every item
+const rangeItemIndex = new IntervalIndex(); // Ages and periods only
+
+/**
+ * Rebuilds the item indexes; call whenever the items payload or granularity changes
+ */
+function rebuildItemIndex() {
+    itemIndex.build(timelineState.items, timelineState.granularity);
+    rangeItemIndex.build(timelineState.items.filter(item => {
+        const type = item && item.type && item.type.toLowerCase();
+        return type === 'age' || type === 'period';
+    }), timelineState.granularity);
+    invalidateLaneLayout();
+    minimap.invalidate();
+    syncFilterWithItems();
+}
+
 // ===== Period Stack Level Map and Alternation Index =====
 const periodStackLevels = {};
 const periodAltIndices = {};
 
 function computePeriodStackLevels() {
-    // Get all periods (not ages)
-    const periods = timelineState.items.filter(item => item && item.type === 'Period');
-    // Sort by start, then by end (shorter/earlier-ending first)
-    periods.sort((a, b) => {
-        const aStart = parseFloat(a.year || a.date || 0) + (parseFloat(a.subtick || 0) / timelineState.granularity);
-        const bStart = parseFloat(b.year || b.date || 0) + (parseFloat(b.subtick || 0) / timelineState.granularity);
-        if (aStart !== bStart) return aStart - bStart;
-        const aEnd = parseFloat(a.end_year !== undefined && a.end_year !== null ? a.end_year : (a.year || 0)) + (parseFloat(a.end_subtick !== undefined && a.end_subtick !== null ? a.end_subtick : (a.subtick || 0)) / timelineState.granularity);
-        const bEnd = parseFloat(b.end_year !== undefined && b.end_year !== null ? b.end_year : (b.year || 0)) + (parseFloat(b.end_subtick !== undefined && b.end_subtick !== null ? b.end_subtick : (b.subtick || 0)) / timelineState.granularity);
-        return aEnd - bEnd;
-    });
+    // Get all periods (not ages); the index keeps them sorted by start, then by end (shorter/earlier-ending first)
+    const periods = rangeItemIndex.entries.filter(entry => entry.item.type === 'Period');
     // Assign stack levels and alternation indices
     const aboveStacks = [];
     const belowStacks = [];
     let altIndex = 0;
-    for (const item of periods) {
+    for (const { item, start, end } of periods) {
         // Assign alternation index
         periodAltIndices[item.id] = altIndex++;
-        // Stacking logic
-        const start = parseFloat(item.year || item.date || 0) + (parseFloat(item.subtick || 0) / timelineState.granularity);
-        const end = parseFloat(item.end_year !== undefined && item.end_year !== null ? item.end_year : (item.year || 0)) + (parseFloat(item.end_subtick !== undefined && item.end_subtick !== null ? item.end_subtick : (item.subtick || 0)) / timelineState.granularity);
         // Alternate above/below based on periodAltIndex
         const isAbove = (periodAltIndices[item.id] % 2 === 0);
         const stacks = isAbove ? aboveStacks : belowStacks;
@@ -305,1615 +611,4745 @@ function computePeriodStackLevels() {
         stacks[stackLevel].push({ start, end, id: item.id });
         periodStackLevels[item.id] = stackLevel;
     }
+    updateLaneContainerHeight();
 }
 
-// ===== Public API =====
-updateTickOffset();
-window.addEventListener('resize', updateTickOffset);
-window.jumpToYear = jumpToYear;
-window.jumpToDate = jumpToDate;
-window.scrollBy = scrollBy;
-window.setInitialSettings = setInitialSettings;
+// ===== Item Filter =====
+/**
+ * Which items the timeline shows
+ * @type {Object} itemFilter
+ * @property {Array<string>} types - Item types (lower-case); empty matches every type
+ * @property {Array<string>} tags - Items must carry at least one of these tags
+ * @property {number|null} minImportance - Lowest importance shown (items default to 5)
+ * @property {number|null} maxImportance - Highest importance shown
+ * @property {Array<string>} characters - Character names or ids; items must feature at least one
+ * @property {string|null} storyId - Only items of this story
+ * @property {string} text - Free text searched in title, description and content
+ *
+ * Timeline markers always match. Items that don't match are hidden or dimmed, see filterMode.
+ */
+const itemFilter = {
+    types: [],
+    tags: [],
+    minImportance: null,
+    maxImportance: null,
+    characters: [],
+    storyId: null,
+    text: ''
+};
+let filterMode = 'hide'; // 'hide' drops filtered-out items, 'dim' draws them faded
+const FILTER_DIM_OPACITY = '0.25';
+const FILTER_TEXT_DELAY_MS = 200; // Typing pause before the search text is applied
+
+let filterVersion = 0;               // Bumped when the filter or the items change
+const filterMatches = new WeakMap(); // item -> { version, matches }
+let filterChoicesStale = true;       // The panel's type and story choices need rebuilding
+let filterTextTimeout = null;
+const storyTitles = new Map();       // Story id -> title, for the story choices and chip
 
-// ===== Core Timeline Functions =====
 /**
- * Calculates the year at a given x position
- * @param {number} x - X position in pixels
- * @returns {number} Calculated year
- * 
- * How it works:
- * 1. Gets container dimensions
- * 2. Calculates offset from center
- * 3. Converts pixels to years using granularity
- * 
- * Possible errors:
- * - Invalid x position
- * - Container not found
+ * Whether any filter criterion is set
+ * @returns {boolean} True when some items may be filtered out
  */
-function calculateYearFromPosition(x) {
-    const containerRect = container.getBoundingClientRect();
-    const centerX = containerRect.width / 2;
-    const year = timelineState.focusYear + ((x - containerRect.left - centerX - timelineState.offsetPx) / (timelineState.pixelsPerSubtick * timelineState.granularity));
-    return year;
+function isFilterActive() {
+    return itemFilter.types.length > 0 || itemFilter.tags.length > 0 ||
+        itemFilter.minImportance !== null || itemFilter.maxImportance !== null ||
+        itemFilter.characters.length > 0 || itemFilter.storyId !== null || itemFilter.text.trim() !== '';
 }
 
 /**
- * Calculates the subtick at a given x position
- * @param {number} x - X position in pixels
- * @returns {number} Calculated subtick (0 to granularity-1)
- * 
- * How it works:
- * 1. Gets container dimensions
- * 2. Calculates year and fractional part
- * 3. Converts to subtick value
- * 
- * Possible errors:
- * - Invalid x position
- * - Container not found
- * - Invalid granularity
+ * Reads the names and ids of an item's characters, lower-cased
+ * @param {Object} item - Timeline item
+ * @returns {Array<string>} Names and ids
  */
-function calculateSubtickFromPosition(x) {
-    const containerRect = container.getBoundingClientRect();
-    const centerX = containerRect.width / 2;
-    // Calculate the floating-point year
-    const year = timelineState.focusYear + ((x - containerRect.left - centerX - timelineState.offsetPx) / (timelineState.pixelsPerSubtick * timelineState.granularity));
-    
-    let subtick;
-    if (year >= 0) {
-        subtick = Math.round((year - Math.floor(year)) * timelineState.granularity);
-    } else {
-        subtick = Math.round((year - Math.ceil(year)) * timelineState.granularity);
+function getItemCharacterKeys(item) {
+    if (!Array.isArray(item.characters)) return [];
+    return item.characters.flatMap(character => (typeof character === 'object' && character !== null
+        ? [character.name, character.id, character.character_id]
+        : [character]))
+        .filter(key => key !== undefined && key !== null)
+        .map(key => String(key).toLowerCase());
+}
+
+/**
+ * Checks an item against the filter, reusing the result until the filter or the items change
+ * @param {Object} item - Timeline item
+ * @returns {boolean} True if the item matches every criterion
+ */
+function matchesItemFilter(item) {
+    if (!item) return false;
+    const cached = filterMatches.get(item);
+    if (cached && cached.version === filterVersion) return cached.matches;
+    const matches = evaluateItemFilter(item);
+    filterMatches.set(item, { version: filterVersion, matches });
+    return matches;
+}
+
+/**
+ * Tests an item against every filter criterion
+ * @param {Object} item - Timeline item
+ * @returns {boolean} True if the item matches
+ */
+function evaluateItemFilter(item) {
+    if (item.type === 'Timeline_start' || item.type === 'Timeline_end') return true;
+
+    if (itemFilter.types.length > 0 && !itemFilter.types.includes((item.type || '').toLowerCase())) return false;
+
+    if (itemFilter.tags.length > 0) {
+        const tags = (Array.isArray(item.tags) ? item.tags : []).map(tag => String(tag).toLowerCase());
+        if (!itemFilter.tags.some(tag => tags.includes(tag))) return false;
     }
-    
-    subtick = Math.abs(subtick);
-    
-    // Clamp subtick to [0, granularity-1]
-    if (subtick >= timelineState.granularity) {
-        subtick = 0;
+
+    const importance = parseInt(item.importance) || 5;
+    if (itemFilter.minImportance !== null && importance < itemFilter.minImportance) return false;
+    if (itemFilter.maxImportance !== null && importance > itemFilter.maxImportance) return false;
+
+    if (itemFilter.characters.length > 0) {
+        const characters = getItemCharacterKeys(item);
+        if (!itemFilter.characters.some(character => characters.includes(character))) return false;
     }
-    
-    return subtick;
+
+    if (itemFilter.storyId !== null) {
+        const references = Array.isArray(item.story_references) ? item.story_references : [];
+        const inStory = String(item.story_id) === itemFilter.storyId ||
+            references.some(reference => String(reference.story_id) === itemFilter.storyId);
+        if (!inStory) return false;
+    }
+
+    const text = itemFilter.text.trim().toLowerCase();
+    if (text) {
+        const haystack = [item.title, item.description, item.content].filter(Boolean).join('\n').toLowerCase();
+        if (!haystack.includes(text)) return false;
+    }
+    return true;
 }
 
 /**
- * Calculates the x position for a given year
- * @param {number} year - Year to calculate position for
- * @returns {number} X position in pixels
- * 
- * How it works:
- * 1. Gets container dimensions
- * 2. Calculates offset from focus year
- * 3. Converts years to pixels
- * 
- * Possible errors:
- * - Invalid year
- * - Container not found
+ * Whether an item is drawn at all (filtered-out items are still drawn when dimming)
+ * @param {Object} item - Timeline item
+ * @returns {boolean} True if the item is drawn
  */
-function calculatePositionFromYear(year) {
-    const containerRect = container.getBoundingClientRect();
-    const centerX = containerRect.width / 2;
-    return centerX + (year - timelineState.focusYear) * timelineState.pixelsPerSubtick * timelineState.granularity + timelineState.offsetPx;
+function isItemShown(item) {
+    return filterMode !== 'hide' || !isFilterActive() || matchesItemFilter(item);
 }
 
 /**
- * Updates the tick offset based on CSS
- * 
- * How it works:
- * 1. Creates temporary tick element
- * 2. Measures its dimensions
- * 3. Calculates offset
- * 
- * Possible errors:
- * - CSS measurement failure
+ * Fades an element whose item doesn't match the filter (dim mode)
+ * @param {HTMLElement} element - Item element, center content block or cascade image
+ * @param {Object} item - Timeline item
  */
-function updateTickOffset() {
-    // Create a temporary tick element to measure
-    const tickSample = document.createElement('div');
-    tickSample.className = 'tick';
-    tickSample.style.visibility = 'hidden';
-    document.body.appendChild(tickSample);
-    const tickWidth = tickSample.offsetWidth;
-    const borderLeftWidth = parseFloat(getComputedStyle(tickSample).borderLeftWidth) || 0;
-    document.body.removeChild(tickSample);
-    // If using only border, offset by borderLeftWidth/2; if using width, offset by tickWidth/2
-    tickOffset = tickWidth > 0 ? tickWidth / 2 : borderLeftWidth / 2;
+function applyFilterFlag(element, item) {
+    const isFilteredOut = filterMode === 'dim' && isFilterActive() && !matchesItemFilter(item);
+    element.classList.toggle('timeline-item-filtered-out', isFilteredOut);
+    element.style.opacity = isFilteredOut ? FILTER_DIM_OPACITY : '';
 }
 
 /**
- * Formats a number line label
- * @param {number} v - Value to format
- * @param {number} granularity - Timeline granularity
- * @returns {string} Formatted label
- * 
- * How it works:
- * 1. Rounds to nearest subtick
- * 2. Separates year and subtick
- * 3. Formats as "year.subtick"
- * 
- * Possible errors:
- * - Invalid value
- * - Invalid granularity
+ * Updates the filter; omitted criteria keep their value
+ * @param {Object} changes - Any of the itemFilter properties
  */
-function getNumberLineLabel(v, granularity) {
-    // Round to nearest subtick
-    const step = 1 / granularity;
-    const snapped = Math.round(v / step) * step;
-
-    let year, subtick;
-    if (snapped >= 0) {
-        year = Math.floor(snapped);
-        subtick = Math.round((snapped - year) * granularity);
-    } else {
-        year = Math.ceil(snapped);
-        subtick = Math.round((snapped - year) * granularity);
-    }
+function setItemFilter(changes = {}) {
+    Object.assign(itemFilter, changes);
+    filterVersion++;
+    itemFilter.types = itemFilter.types.map(type => type.toLowerCase());
+    itemFilter.tags = itemFilter.tags.map(tag => tag.toLowerCase());
+    itemFilter.characters = itemFilter.characters.map(character => String(character).toLowerCase());
+    itemFilter.storyId = itemFilter.storyId === null || itemFilter.storyId === '' ? null : String(itemFilter.storyId);
+    onItemFilterChanged();
+}
 
-    subtick = Math.abs(subtick);
+/**
+ * Removes every filter criterion
+ */
+function clearItemFilter() {
+    clearTimeout(filterTextTimeout);
+    setItemFilter({ types: [], tags: [], minImportance: null, maxImportance: null, characters: [], storyId: null, text: '' });
+}
 
-    // Clamp subtick to [0, granularity-1]
-    if (subtick >= granularity) {
-        year += (snapped >= 0 ? 1 : -1);
-        subtick = 0;
-    }
+/**
+ * Chooses whether filtered-out items are hidden or dimmed
+ * @param {string} mode - 'hide' or 'dim'
+ */
+function setFilterMode(mode) {
+    filterMode = mode === 'dim' ? 'dim' : 'hide';
+    onItemFilterChanged();
+}
 
-    return `${year}.${subtick}`;
+/**
+ * Re-lays out and redraws the timeline after the filter changed
+ */
+function onItemFilterChanged() {
+    pruneSelection(); // Hidden items leave the selection
+    invalidateLaneAssignments(); // Hidden items give up their lanes
+    renderTimeline();
+    updateFilterChips();
+    updateFilterPanel();
 }
 
 /**
- * Formats a hover label
- * @param {number} v - Value to format
- * @param {number} granularity - Timeline granularity
- * @returns {string} Formatted label
- * 
- * How it works:
- * 1. Rounds to nearest subtick
- * 2. Handles negative years
- * 3. Formats as "year. subtick"
- * 
- * Possible errors:
- * - Invalid value
- * - Invalid granularity
+ * Drops cached matches and panel choices after the items changed, and picks up story titles
  */
-function getHoverLabel(v, granularity) {
-    // Round to nearest subtick
-    const step = 1 / granularity;
-    const snapped = Math.round(v / step) * step;
+function syncFilterWithItems() {
+    filterVersion++;
+    filterChoicesStale = true;
+    timelineState.items.forEach(item => {
+        if (!item) return;
+        if (item.story_id && item.story_title) storyTitles.set(String(item.story_id), item.story_title);
+        (Array.isArray(item.story_references) ? item.story_references : []).forEach(reference => {
+            const title = reference.title || reference.story_title;
+            if (reference.story_id && title) storyTitles.set(String(reference.story_id), title);
+        });
+    });
+    updateFilterPanel();
+}
 
-    let year, subtick;
+/**
+ * Names a story for the filter panel and chips
+ * @param {string} storyId - Story id
+ * @returns {string} Story title, or the id when the title isn't known
+ */
+function getStoryTitle(storyId) {
+    return storyTitles.get(storyId) || storyId;
+}
 
-    if (snapped >= 0) {
-        year = Math.floor(snapped);
-        subtick = Math.round((snapped - year) * granularity);
-    } else {
-        year = Math.ceil(snapped);
-        subtick = Math.round((snapped - year) * granularity);
+/**
+ * Describes each active criterion as a removable chip
+ * @returns {Array<{label: string, remove: Object}>} Chip label and the filter change that removes it
+ */
+function getFilterChips() {
+    const chips = [];
+    itemFilter.types.forEach(type => chips.push({
+        label: `Type: ${type.replace(/_/g, ' ')}`,
+        remove: { types: itemFilter.types.filter(other => other !== type) }
+    }));
+    itemFilter.tags.forEach(tag => chips.push({
+        label: `Tag: ${tag}`,
+        remove: { tags: itemFilter.tags.filter(other => other !== tag) }
+    }));
+    if (itemFilter.minImportance !== null || itemFilter.maxImportance !== null) {
+        chips.push({
+            label: `Importance ${itemFilter.minImportance !== null ? itemFilter.minImportance : 1}–${itemFilter.maxImportance !== null ? itemFilter.maxImportance : 10}`,
+            remove: { minImportance: null, maxImportance: null }
+        });
     }
-
-    subtick = Math.abs(subtick);
-
-    // Clamp subtick to [0, granularity-1]
-    if (subtick >= granularity) {
-        year += (snapped >= 0 ? 1 : -1);
-        subtick = 0;
+    itemFilter.characters.forEach(character => chips.push({
+        label: `Character: ${character}`,
+        remove: { characters: itemFilter.characters.filter(other => other !== character) }
+    }));
+    if (itemFilter.storyId !== null) {
+        chips.push({ label: `Story: ${getStoryTitle(itemFilter.storyId)}`, remove: { storyId: null } });
     }
-
-    if(year === 0 && snapped < 0){
-        return `-${year}. ${subtick}`;
+    if (itemFilter.text.trim()) {
+        chips.push({ label: `“${itemFilter.text.trim()}”`, remove: { text: '' } });
     }
-
-    return `${year}. ${subtick}`;
+    return chips;
 }
 
 /**
- * Updates the main content area based on items at the center position
- * @param {number} centerX - X position of the center
- * @param {number} centerYear - Year at the center position
+ * Shows the active criteria as chips above the timeline
  */
-function updateMainContent(centerX, centerYear) {
-    const mainContentRight = document.querySelector('.main-content-right');
-    if (!mainContentRight) return;
+function updateFilterChips() {
+    let bar = document.getElementById('timeline-filter-chips');
+    if (!bar) {
+        if (!isFilterActive() || !container.parentElement) return;
+        bar = document.createElement('div');
+        bar.id = 'timeline-filter-chips';
+        bar.setAttribute('role', 'list');
+        bar.setAttribute('aria-label', 'Active filters');
+        Object.assign(bar.style, {
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: '4px',
+            padding: '4px',
+            font: '12px sans-serif'
+        });
+        container.parentElement.insertBefore(bar, container);
+    }
 
-    // Clear existing content
-    mainContentRight.innerHTML = '';
+    bar.innerHTML = '';
+    bar.style.display = isFilterActive() ? 'flex' : 'none';
+    getFilterChips().forEach(({ label, remove }) => {
+        const chip = document.createElement('span');
+        chip.className = 'timeline-filter-chip';
+        chip.setAttribute('role', 'listitem');
+        Object.assign(chip.style, {
+            display: 'inline-flex',
+            alignItems: 'center',
+            gap: '4px',
+            padding: '1px 6px',
+            backgroundColor: '#4a90e222',
+            border: '1px solid #4a90e2',
+            borderRadius: '10px'
+        });
+        chip.appendChild(document.createTextNode(label));
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = '×';
+        removeButton.setAttribute('aria-label', `Remove filter ${label}`);
+        Object.assign(removeButton.style, { border: 'none', background: 'transparent', cursor: 'pointer', padding: '0' });
+        removeButton.addEventListener('click', () => setItemFilter(remove));
+        chip.appendChild(removeButton);
+        bar.appendChild(chip);
+    });
+}
 
-    // Find age and period items where the center point falls between start and end positions
-    const ageItems = timelineState.items.filter(item => {
-        if (!item || item.type?.toLowerCase() !== 'age') return false;
-        
-        // Calculate exact pixel positions for start and end
-        const startX = calculatePositionFromYear(item.year) + (item.subtick / timelineState.granularity) * timelineState.pixelsPerSubtick * timelineState.granularity;
-        const endX = calculatePositionFromYear(item.end_year !== undefined && item.end_year !== null ? item.end_year : item.year) + ((item.end_subtick !== undefined && item.end_subtick !== null ? item.end_subtick : item.subtick) / timelineState.granularity) * timelineState.pixelsPerSubtick * timelineState.granularity;
-        
-        // Check if centerX is between start and end positions
-        return centerX >= startX && centerX <= endX;
+/**
+ * Lists the distinct values of an item field, for the filter panel's choices
+ * @param {function(Object): Array} read - Reads the values of one item
+ * @returns {Array<string>} Sorted distinct values
+ */
+function collectFilterChoices(read) {
+    const values = new Set();
+    timelineState.items.forEach(item => {
+        if (!item || item.type === 'Timeline_start' || item.type === 'Timeline_end') return;
+        read(item).forEach(value => {
+            if (value !== undefined && value !== null && value !== '') values.add(String(value));
+        });
     });
+    return Array.from(values).sort((a, b) => a.localeCompare(b));
+}
 
-    const periodItems = timelineState.items.filter(item => {
-        if (!item || item.type?.toLowerCase() !== 'period') return false;
-        
-        // Calculate exact pixel positions for start and end
-        const startX = calculatePositionFromYear(item.year) + (item.subtick / timelineState.granularity) * timelineState.pixelsPerSubtick * timelineState.granularity;
-        const endX = calculatePositionFromYear(item.end_year !== undefined && item.end_year !== null ? item.end_year : item.year) + ((item.end_subtick !== undefined && item.end_subtick !== null ? item.end_subtick : item.subtick) / timelineState.granularity) * timelineState.pixelsPerSubtick * timelineState.granularity;
-        
-        // Check if centerX is between start and end positions
-        return centerX >= startX && centerX <= endX;
-    }).sort((a, b) => (a.item_index || 0) - (b.item_index || 0));
+/**
+ * Syncs the filter panel's fields with the filter
+ */
+function updateFilterPanel() {
+    const panel = document.getElementById('timeline-filter-panel');
+    if (!panel || panel.style.display === 'none') return;
+
+    const field = name => panel.querySelector(`[data-filter="${name}"]`);
+    if (document.activeElement !== field('text')) field('text').value = itemFilter.text;
+    if (document.activeElement !== field('tags')) field('tags').value = itemFilter.tags.join(', ');
+    if (document.activeElement !== field('characters')) field('characters').value = itemFilter.characters.join(', ');
+    field('min-importance').value = itemFilter.minImportance !== null ? itemFilter.minImportance : '';
+    field('max-importance').value = itemFilter.maxImportance !== null ? itemFilter.maxImportance : '';
+    field('mode').value = filterMode;
+
+    if (filterChoicesStale) {
+        updateFilterPanelChoices(field('types'), field('story'));
+        filterChoicesStale = false;
+    }
+    field('types').querySelectorAll('input').forEach(checkbox => {
+        checkbox.checked = itemFilter.types.includes(checkbox.value);
+    });
+    field('story').value = itemFilter.storyId !== null ? itemFilter.storyId : '';
+}
 
-    console.log("TIMELINE STATE", timelineState);
+/**
+ * Rebuilds the type checkboxes and story options from the items
+ * @param {HTMLElement} types - Type checkbox container
+ * @param {HTMLSelectElement} story - Story select
+ */
+function updateFilterPanelChoices(types, story) {
+    types.innerHTML = '';
+    collectFilterChoices(item => [item.type]).forEach(type => {
+        const label = document.createElement('label');
+        label.style.marginRight = '8px';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = type.toLowerCase();
+        checkbox.addEventListener('change', () => {
+            const others = itemFilter.types.filter(other => other !== checkbox.value);
+            setItemFilter({ types: checkbox.checked ? [...others, type] : others });
+        });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${type.replace(/_/g, ' ')}`));
+        types.appendChild(label);
+    });
 
-    // Find note items within 10px of center
-    const noteItems = timelineState.items.filter(item => {
-        if (!item || (item.type?.toLowerCase() == 'age' || item.type?.toLowerCase() == 'period')) return false;
-        if(!item.show_in_notes) return false;
-        const itemYear = parseFloat(item.year || item.date || 0);
-        const itemSubtick = parseInt(item.subtick || 0);
-        const itemX = centerX + (itemYear - timelineState.focusYear) * timelineState.pixelsPerSubtick * timelineState.granularity + timelineState.offsetPx + (itemSubtick / timelineState.granularity) * timelineState.pixelsPerSubtick * timelineState.granularity;
-        return Math.abs(itemX - centerX) <= timelineState.displayRadius;
-    }).sort((a, b) => (a.item_index || 0) - (b.item_index || 0));
+    story.innerHTML = '';
+    story.appendChild(new Option('Any story', ''));
+    collectFilterChoices(item => [item.story_id, ...(Array.isArray(item.story_references) ? item.story_references : []).map(reference => reference.story_id)])
+        .sort((a, b) => getStoryTitle(a).localeCompare(getStoryTitle(b)))
+        .forEach(storyId => story.appendChild(new Option(getStoryTitle(storyId), storyId)));
+}
 
-    // Add all visible ages
-    if (ageItems.length > 0) {
-        const agesDiv = document.createElement('div');
-        agesDiv.className = 'center-ages';
+/**
+ * Shows or hides the filter panel, creating it on first use
+ */
+function toggleFilterPanel() {
+    let panel = document.getElementById('timeline-filter-panel');
+    if (panel) {
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        updateFilterPanel();
+        if (panel.style.display === 'block') panel.querySelector('[data-filter="text"]').focus();
+        return;
+    }
 
-        ageItems.forEach((age, index) => {
-            const ageDiv = document.createElement('div');
-            ageDiv.className = 'center-age';
+    panel = document.createElement('div');
+    panel.id = 'timeline-filter-panel';
+    panel.setAttribute('role', 'search');
+    panel.setAttribute('aria-label', 'Filter timeline items');
+    Object.assign(panel.style, {
+        position: 'fixed',
+        top: '10px',
+        left: '10px',
+        width: '280px',
+        padding: '8px',
+        backgroundColor: '#fffdf8',
+        border: '1px solid #00000033',
+        borderRadius: '4px',
+        boxShadow: '0 2px 8px #00000033',
+        font: '13px sans-serif',
+        zIndex: '1000'
+    });
 
-            const title = document.createElement(`h${Math.min(index + 1, 6)}`);
-            title.textContent = age.title || '(No Title)';
-            ageDiv.appendChild(title);
+    const addRow = (labelText, control) => {
+        const row = document.createElement('label');
+        row.style.display = 'block';
+        row.style.marginBottom = '6px';
+        row.appendChild(document.createTextNode(labelText));
+        control.style.display = 'block';
+        control.style.width = '100%';
+        control.style.boxSizing = 'border-box';
+        row.appendChild(control);
+        panel.appendChild(row);
+        return control;
+    };
+    const createInput = (name, type, placeholder) => {
+        const input = document.createElement('input');
+        input.type = type;
+        input.dataset.filter = name;
+        if (placeholder) input.placeholder = placeholder;
+        return input;
+    };
+    const splitList = value => value.split(',').map(part => part.trim()).filter(Boolean);
+    const readImportance = input => (input.value === '' ? null : Math.min(10, Math.max(1, parseInt(input.value) || 1)));
 
-            if (age.description) {
-                const description = document.createElement('p');
-                description.textContent = age.description;
-                ageDiv.appendChild(description);
-            }
+    const text = addRow('Search', createInput('text', 'search', 'Title, description or content'));
+    text.addEventListener('input', () => {
+        clearTimeout(filterTextTimeout);
+        filterTextTimeout = setTimeout(() => setItemFilter({ text: text.value }), FILTER_TEXT_DELAY_MS);
+    });
 
-            agesDiv.appendChild(ageDiv);
-        });
+    const types = document.createElement('div');
+    types.dataset.filter = 'types';
+    addRow('Types', types);
+
+    const tags = addRow('Tags', createInput('tags', 'text', 'tag, tag'));
+    tags.addEventListener('change', () => setItemFilter({ tags: splitList(tags.value) }));
+
+    const importance = document.createElement('div');
+    importance.style.display = 'flex';
+    importance.style.gap = '4px';
+    const minImportance = createInput('min-importance', 'number', 'From');
+    const maxImportance = createInput('max-importance', 'number', 'To');
+    [minImportance, maxImportance].forEach(input => {
+        input.min = '1';
+        input.max = '10';
+        input.style.width = '50%';
+        input.addEventListener('change', () => setItemFilter({
+            minImportance: readImportance(minImportance),
+            maxImportance: readImportance(maxImportance)
+        }));
+        importance.appendChild(input);
+    });
+    addRow('Importance', importance);
+
+    const characters = addRow('Characters', createInput('characters', 'text', 'name, name'));
+    characters.addEventListener('change', () => setItemFilter({ characters: splitList(characters.value) }));
+
+    const story = document.createElement('select');
+    story.dataset.filter = 'story';
+    story.addEventListener('change', () => setItemFilter({ storyId: story.value || null }));
+    addRow('Story', story);
+
+    const mode = document.createElement('select');
+    mode.dataset.filter = 'mode';
+    mode.appendChild(new Option('Hide filtered-out items', 'hide'));
+    mode.appendChild(new Option('Dim filtered-out items', 'dim'));
+    mode.addEventListener('change', () => setFilterMode(mode.value));
+    addRow('Other items', mode);
+
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '4px';
+    [['Clear filters', clearItemFilter], ['Close', toggleFilterPanel]].forEach(([label, handler]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', () => handler());
+        buttons.appendChild(button);
+    });
+    panel.appendChild(buttons);
 
-        mainContentRight.appendChild(agesDiv);
-    }
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleFilterPanel();
+    });
 
-    // Add all visible periods
-    if (periodItems.length > 0) {
-        const periodsDiv = document.createElement('div');
-        periodsDiv.className = 'center-periods';
+    document.body.appendChild(panel);
+    updateFilterPanel();
+    text.focus();
+}
 
-        periodItems.forEach(period => {
-            const periodDiv = document.createElement('div');
-            periodDiv.className = 'center-period';
+// Ctrl+F opens the filter panel
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== 'f') return;
+    e.preventDefault();
+    toggleFilterPanel();
+});
 
-            const title = document.createElement('h2');
-            title.textContent = period.title || '(No Title)';
-            periodDiv.appendChild(title);
+window.setItemFilter = setItemFilter;
+window.clearItemFilter = clearItemFilter;
+window.setFilterMode = setFilterMode;
+window.toggleFilterPanel = toggleFilterPanel;
 
-            if (period.description) {
-                const description = document.createElement('p');
-                description.textContent = period.description;
-                periodDiv.appendChild(description);
-            }
+// ===== Public API =====
+updateTickOffset();
+window.addEventListener('resize', updateTickOffset);
+window.jumpToYear = jumpToYear;
+window.jumpToDate = jumpToDate;
+window.scrollBy = scrollBy;
+window.setInitialSettings = setInitialSettings;
 
-            periodsDiv.appendChild(periodDiv);
-        });
+// ===== Date Value Type =====
+/**
+ * Exact timeline date: a whole year plus a subtick in [0, granularity-1]
+ *
+ * Internally a date is a single integer count of subticks since year 0, so arithmetic and
+ * comparisons never go through floats. Negative years work like positive ones: year -2,
+ * subtick 3 at granularity 4 is 3/4 of the way from -2 to -1, matching how items store dates.
+ */
+class TimelineDate {
+    /**
+     * @param {number} year - Whole year
+     * @param {number} subtick - Subtick; values outside [0, granularity-1] carry into the year
+     * @param {number} granularity - Subticks per year
+     */
+    constructor(year, subtick = 0, granularity = timelineState.granularity) {
+        this.granularity = granularity;
+        this.totalSubticks = Math.round(year) * granularity + Math.round(subtick);
+        this.year = Math.floor(this.totalSubticks / granularity);
+        this.subtick = this.totalSubticks - this.year * granularity;
+    }
 
-        mainContentRight.appendChild(periodsDiv);
+    /**
+     * Creates a date from a subtick count since year 0
+     * @param {number} totalSubticks - Subticks since year 0
+     * @param {number} granularity - Subticks per year
+     * @returns {TimelineDate} Date
+     */
+    static fromTotalSubticks(totalSubticks, granularity = timelineState.granularity) {
+        return new TimelineDate(0, totalSubticks, granularity);
     }
 
-    let pictureItems = [];
-    let newNoteItems = [];
+    /**
+     * Creates a date from a fractional year, snapped to the nearest subtick
+     * @param {number} value - Fractional year (e.g. from a pixel position)
+     * @param {number} granularity - Subticks per year
+     * @returns {TimelineDate} Date
+     */
+    static fromFractionalYear(value, granularity = timelineState.granularity) {
+        return TimelineDate.fromTotalSubticks(Math.round(value * granularity), granularity);
+    }
 
-    if(noteItems.length > 0){
-        pictureItems = noteItems.filter(item => item.type?.toLowerCase() === 'picture');
-        newNoteItems = noteItems.filter(item => item.type?.toLowerCase() !== 'picture');
+    /**
+     * Creates a date from an item's start or end fields, rescaling subticks recorded at another granularity
+     * @param {Object} item - Timeline item
+     * @param {boolean} useEnd - Read end_year/end_subtick (falling back to the start)
+     * @param {number} granularity - Subticks per year
+     * @returns {TimelineDate} Date
+     */
+    static fromItem(item, useEnd = false, granularity = timelineState.granularity) {
+        const hasEndYear = useEnd && item.end_year !== undefined && item.end_year !== null;
+        const year = parseInt(hasEndYear ? item.end_year : (item.year || item.date || 0)) || 0;
+        return new TimelineDate(year, getItemSubtick(item, useEnd, granularity), granularity);
     }
 
-    if(pictureItems.length > 0){
-        const picturesDiv = document.createElement('div');
-        picturesDiv.className = 'center-notes';
+    /**
+     * Creates a date from a timeline marker ({ year, subtick })
+     * @param {Object} marker - timelineMarkers.start or timelineMarkers.end
+     * @returns {TimelineDate} Date
+     */
+    static fromMarker(marker) {
+        return new TimelineDate(parseInt(marker.year) || 0, parseInt(marker.subtick) || 0);
+    }
 
-        pictureItems.forEach(picture => {
-            const pictureDiv = document.createElement('div');
-            pictureDiv.className = 'center-note picture-note';
+    /**
+     * @returns {number} Fractional year, for pixel calculations only
+     */
+    toFractionalYear() {
+        return this.totalSubticks / this.granularity;
+    }
 
-            const contentDiv = document.createElement('div');
-            contentDiv.className = 'note-content';
+    /**
+     * @param {TimelineDate} other - Date with the same granularity
+     * @returns {number} Negative, zero or positive like a sort comparator
+     */
+    compare(other) {
+        return this.totalSubticks - other.totalSubticks;
+    }
 
-            const title = document.createElement('h2');
-            title.textContent = picture.title || '(No Title)';
-            contentDiv.appendChild(title);
+    isBefore(other) {
+        return this.compare(other) < 0;
+    }
 
-            pictureDiv.appendChild(contentDiv);
+    isAfter(other) {
+        return this.compare(other) > 0;
+    }
 
-            if (picture.pictures && picture.pictures.length > 0) {
-                if (picture.pictures.length === 1) {
-                    const img = document.createElement('img');
-                    img.className = 'note-image';
-                    img.src = `file://${picture.pictures[0].file_path}`;
-                    pictureDiv.appendChild(img);
-                } else {
-                    const imagesContainer = document.createElement('div');
-                    imagesContainer.className = 'note-images-container';
-                    imagesContainer.style.display = 'flex';
-                    imagesContainer.style.flexDirection = 'row';
-                    imagesContainer.style.gap = '10px';
-                    imagesContainer.style.alignItems = 'center';
+    equals(other) {
+        return this.compare(other) === 0;
+    }
 
-                    picture.pictures.forEach(pic => {
-                        const img = document.createElement('img');
-                        img.className = 'note-image';
-                        img.src = `file://${pic.file_path}`;
-                        imagesContainer.appendChild(img);
-                    });
+    /**
+     * @param {number} years - Years to add (may be negative)
+     * @param {number} subticks - Subticks to add (may be negative)
+     * @returns {TimelineDate} New date
+     */
+    add(years, subticks = 0) {
+        return TimelineDate.fromTotalSubticks(this.totalSubticks + years * this.granularity + subticks, this.granularity);
+    }
 
-                    pictureDiv.appendChild(imagesContainer);
-                }
-            }
+    /**
+     * @param {TimelineDate} other - Date with the same granularity
+     * @returns {number} Subticks from other to this date
+     */
+    diff(other) {
+        return this.totalSubticks - other.totalSubticks;
+    }
 
-            picturesDiv.appendChild(pictureDiv);
-        });
+    /**
+     * Formats the date, through the calendar/era formatter when one is active
+     * @param {string} separator - Text between year and subtick for plain dates
+     * @param {number} padSubtick - Minimum subtick digits for plain dates
+     * @returns {string} Formatted date
+     */
+    format(separator = '.', padSubtick = 0) {
+        if (usesFormattedDates()) {
+            return formatCalendarDate(this.year, this.subtick);
+        }
+        return this.formatPlain(separator, padSubtick);
+    }
 
-        mainContentRight.appendChild(picturesDiv);
+    /**
+     * Formats the date as the absolute year and subtick, ignoring any calendar or era
+     * @param {string} separator - Text between year and subtick
+     * @param {number} padSubtick - Minimum subtick digits
+     * @returns {string} Date such as "1204.07", which parseDateExpression always reads back
+     */
+    formatPlain(separator = '.', padSubtick = 0) {
+        return `${this.year}${separator}${this.subtick.toString().padStart(padSubtick, '0')}`;
     }
+}
 
-    // Add all visible notes
-    if (newNoteItems.length > 0) {
-        // Sort notes by importance (higher first), then start date, then alphabetical by title
-        newNoteItems.sort((a, b) => {
-            // First sort by importance (higher importance first)
-            const aImportance = a.importance || 5;
-            const bImportance = b.importance || 5;
-            if (aImportance !== bImportance) {
-                return bImportance - aImportance; // Higher importance first
-            }
-            
-            // Then sort by start date (earlier first)
-            const aDate = a.year + (a.subtick || 0) / timelineState.granularity;
-            const bDate = b.year + (b.subtick || 0) / timelineState.granularity;
-            if (aDate !== bDate) {
-                return aDate - bDate; // Earlier date first
-            }
-            
-            // Finally sort alphabetically by title
-            const aTitle = (a.title || '').toLowerCase();
-            const bTitle = (b.title || '').toLowerCase();
-            return aTitle.localeCompare(bTitle);
-        });
+// ===== Granularity Remapping =====
+/**
+ * Rescales a subtick from one granularity to another
+ * @param {number} subtick - Subtick at the source granularity
+ * @param {number} fromGranularity - Granularity the subtick was recorded at
+ * @param {number} toGranularity - Granularity to display it at
+ * @returns {{subtick: number, exact: boolean}} Subtick containing the original moment, and whether it lands exactly on it
+ *
+ * Example: season 1 of 4 becomes month 3 of 12 (exact); month 5 of 12 becomes season 1 of 4 (not exact)
+ */
+function remapSubtick(subtick, fromGranularity, toGranularity) {
+    const scaled = subtick * toGranularity;
+    return {
+        subtick: Math.floor(scaled / fromGranularity),
+        exact: scaled % fromGranularity === 0
+    };
+}
 
-        const notesDiv = document.createElement('div');
-        notesDiv.className = 'center-notes';
+/**
+ * Reads the granularity an item's subticks were recorded at
+ * @param {Object} item - Timeline item
+ * @param {number} granularity - Fallback for items without creation_granularity
+ * @returns {number} Creation granularity
+ */
+function getItemCreationGranularity(item, granularity = timelineState.granularity) {
+    return parseInt(item.creation_granularity) || granularity;
+}
 
-        newNoteItems.forEach(note => {
-            const noteDiv = document.createElement('div');
-            noteDiv.className = 'center-note';
+/**
+ * Reads an item's original start or end subtick, as recorded at its creation granularity
+ * @param {Object} item - Timeline item
+ * @param {boolean} useEnd - Read the end subtick (falling back to the start)
+ * @returns {number} Subtick at the creation granularity
+ */
+function getItemOriginalSubtick(item, useEnd = false) {
+    const pick = (...values) => values.find(value => value !== undefined && value !== null);
+    const value = useEnd
+        ? pick(item.original_end_subtick, item.end_subtick, item.original_subtick, item.subtick)
+        : pick(item.original_subtick, item.subtick);
+    return parseInt(value || 0) || 0;
+}
 
-            const contentDiv = document.createElement('div');
-            contentDiv.className = 'note-content';
+/**
+ * Reads an item's start or end subtick at a granularity
+ * @param {Object} item - Timeline item
+ * @param {boolean} useEnd - Read the end subtick (falling back to the start)
+ * @param {number} granularity - Granularity to read the subtick at
+ * @returns {number} Subtick (0 to granularity-1)
+ *
+ * Items keep the subtick they were created with (original_subtick / original_end_subtick)
+ * together with creation_granularity. When the timeline's granularity has changed since,
+ * the original subtick is rescaled instead of reading the stored subtick as-is.
+ */
+function getItemSubtick(item, useEnd = false, granularity = timelineState.granularity) {
+    const creationGranularity = getItemCreationGranularity(item, granularity);
+    if (creationGranularity === granularity) {
+        const hasEndSubtick = useEnd && item.end_subtick !== undefined && item.end_subtick !== null;
+        return parseInt(hasEndSubtick ? item.end_subtick : (item.subtick || 0)) || 0;
+    }
+    return remapSubtick(getItemOriginalSubtick(item, useEnd), creationGranularity, granularity).subtick;
+}
 
-            const title = document.createElement('h2');
-            title.textContent = note.title || '(No Title)';
-            contentDiv.appendChild(title);
+/**
+ * Writes new dates onto an item, recorded at the dates' granularity
+ * @param {Object} item - Timeline item (modified in place)
+ * @param {TimelineDate} start - New start date
+ * @param {TimelineDate|null} end - New end date for Ages and Periods, or null to keep the end
+ *
+ * The item is re-recorded at the current granularity, so a kept end is rescaled along with it.
+ */
+function setItemDates(item, start, end = null) {
+    const hasEnd = item.end_year !== undefined && item.end_year !== null;
+    if (!end && hasEnd) {
+        end = TimelineDate.fromItem(item, true, start.granularity);
+    }
 
-            if (note.description) {
-                const description = document.createElement('p');
-                description.textContent = note.description;
-                contentDiv.appendChild(description);
-            }
+    item.year = start.year;
+    item.subtick = start.subtick;
+    item.original_subtick = start.subtick;
+    item.creation_granularity = start.granularity;
+    if (end) {
+        item.end_year = end.year;
+        item.end_subtick = end.subtick;
+        item.original_end_subtick = end.subtick;
+    }
+}
 
-            if (note.tags && note.tags.length > 0) {
-                const tagsDiv = document.createElement('div');
-                tagsDiv.className = 'note-tags';
-                note.tags.forEach(tag => {
-                    const tagSpan = document.createElement('span');
-                    tagSpan.className = 'note-tag';
-                    tagSpan.textContent = tag;
-                    tagsDiv.appendChild(tagSpan);
-                });
-                contentDiv.appendChild(tagsDiv);
-            }
+/**
+ * Lists the items a granularity change would merge or round
+ * @param {number} newGranularity - Granularity the user is about to switch to
+ * @returns {{collisions: Array<{date: TimelineDate, items: Array<Object>}>, imprecise: Array<{item: Object, from: string, to: string}>}}
+ *          Groups of items with different dates that would share one date, and items whose start or end
+ *          can't be represented exactly
+ */
+function previewGranularityChange(newGranularity) {
+    const collisions = [];
+    const imprecise = [];
+    const itemsByDate = new Map();
 
-            noteDiv.appendChild(contentDiv);
+    timelineState.items.forEach(item => {
+        if (!item || item.type === 'Timeline_start' || item.type === 'Timeline_end') return;
+
+        const creationGranularity = getItemCreationGranularity(item);
+        const start = remapSubtick(getItemOriginalSubtick(item), creationGranularity, newGranularity);
+        const end = remapSubtick(getItemOriginalSubtick(item, true), creationGranularity, newGranularity);
+        const year = parseInt(item.year || item.date || 0) || 0;
+        const newDate = new TimelineDate(year, start.subtick, newGranularity);
+
+        if (!start.exact || !end.exact) {
+            imprecise.push({
+                item,
+                from: TimelineDate.fromItem(item).format(),
+                // The calendar's subtick names only fit the current granularity
+                to: newDate.formatPlain()
+            });
+        }
 
-            if (note.pictures && note.pictures.length > 0) {
-                const img = document.createElement('img');
-                img.className = 'note-image';
-                img.src = `file://${note.pictures[0].file_path}`;
-                noteDiv.appendChild(img);
-            }
+        // Items only collide if they were apart before: key by the exact original moment
+        const originalSubtick = getItemOriginalSubtick(item);
+        const divisor = greatestCommonDivisor(originalSubtick, creationGranularity);
+        const originalKey = `${year}+${originalSubtick / divisor}/${creationGranularity / divisor}`;
+        const key = newDate.totalSubticks;
+        if (!itemsByDate.has(key)) itemsByDate.set(key, { date: newDate, items: [], originalKeys: new Set() });
+        const entry = itemsByDate.get(key);
+        entry.items.push(item);
+        entry.originalKeys.add(originalKey);
+    });
 
-            notesDiv.appendChild(noteDiv);
-        });
+    itemsByDate.forEach(({ date, items, originalKeys }) => {
+        if (originalKeys.size > 1) {
+            collisions.push({ date, items });
+        }
+    });
+    return { collisions, imprecise };
+}
 
-        mainContentRight.appendChild(notesDiv);
-    }
+/**
+ * @param {number} a - Non-negative integer
+ * @param {number} b - Positive integer
+ * @returns {number} Greatest common divisor of a and b
+ */
+function greatestCommonDivisor(a, b) {
+    return b === 0 ? a : greatestCommonDivisor(b, a % b);
 }
 
+// Item ids flagged by showGranularityPreview, mapped to 'collision' or 'imprecise'
+const granularityPreviewFlags = new Map();
+
 /**
- * Calculates which items are visible in the current viewport
- * @param {number} centerX - Center X position of the viewport
- * @param {number} centerYear - Center year of the viewport
- * @returns {Array} Array of items that are visible or near the viewport
+ * Highlights the items a granularity change would affect until clearGranularityPreview is called
+ * @param {number} newGranularity - Granularity the user is about to switch to
+ * @returns {Object} The previewGranularityChange report, for listing in the settings dialog
  */
-function getVisibleItems(centerX, centerYear) {
-    const { granularity, pixelsPerSubtick, offsetPx } = timelineState;
-    const containerRect = container.getBoundingClientRect();
-    
-    // Calculate the visible year range based on the container width and current offset
-    const visibleWidth = containerRect.width;
-    const yearsPerPixel = 1 / (granularity * pixelsPerSubtick);
-    
-    // Calculate the leftmost and rightmost visible years
-    const leftYear = centerYear - (centerX * yearsPerPixel);
-    const rightYear = centerYear + ((visibleWidth - centerX) * yearsPerPixel);
-    
-    // Add a buffer zone (25% of the visible range on each side)
-    const bufferSize = (rightYear - leftYear) * 0.25;
-    const bufferedLeftYear = leftYear - bufferSize;
-    const bufferedRightYear = rightYear + bufferSize;
-    
-    // Filter items that are within the buffered range
-    return timelineState.items.filter(item => {
-        if (!item) return false;
-        
-        // Calculate item's start and end positions
-        const startYear = parseFloat(item.year || item.date || 0);
-        const startSubtick = parseFloat(item.subtick || 0);
-        const endYear = parseFloat(item.end_year !== undefined && item.end_year !== null ? item.end_year : (item.year || 0));
-        const endSubtick = parseFloat(item.end_subtick !== undefined && item.end_subtick !== null ? item.end_subtick : (item.subtick || 0));
-        
-        // Calculate exact positions
-        const startPosition = startYear + (startSubtick / granularity);
-        const endPosition = endYear + (endSubtick / granularity);
-        
-        // Check if item overlaps with the buffered range
-        // An item is visible if:
-        // 1. It starts before the right edge of the buffered range AND
-        // 2. It ends after the left edge of the buffered range
-        return startPosition <= bufferedRightYear && endPosition >= bufferedLeftYear;
-    });
+function showGranularityPreview(newGranularity) {
+    const report = previewGranularityChange(newGranularity);
+    granularityPreviewFlags.clear();
+    report.imprecise.forEach(({ item }) => granularityPreviewFlags.set(String(item.id), 'imprecise'));
+    // A collision is the more severe outcome, so it wins over imprecise
+    report.collisions.forEach(({ items }) => items.forEach(item => granularityPreviewFlags.set(String(item.id), 'collision')));
+    renderTimeline();
+    return report;
 }
 
-// Add this function near the top of the file
-function sendTimelineUpdate() {
-    window.api.send('timeline-updated', {
-        focusYear: timelineState.focusYear,
-        granularity: timelineState.granularity,
-        offsetPx: timelineState.offsetPx,
-        pixelsPerSubtick: timelineState.pixelsPerSubtick
-    });
+/**
+ * Removes the highlights added by showGranularityPreview
+ */
+function clearGranularityPreview() {
+    granularityPreviewFlags.clear();
+    renderTimeline();
 }
 
-// Frame timing variables with improved stability
-let lastFrameTime = 0;
-const targetFrameTime = 1000 / 60; // 60fps
-const minFrameTime = 1000 / 30;    // 30fps minimum
-let currentQuality = 1.0;          // Start at full quality
-let isScrolling = false;           // Track if we're currently scrolling
-let scrollTimeout = null;          // For debouncing scroll end
+/**
+ * Marks an item element with its granularity preview flag, if any
+ * @param {HTMLElement} element - Item box, bookmark or range element
+ * @param {Object} item - Timeline item
+ */
+function applyGranularityPreviewFlag(element, item) {
+    const flag = granularityPreviewFlags.get(String(item.id));
+    element.classList.toggle('granularity-collision', flag === 'collision');
+    element.classList.toggle('granularity-imprecise', flag === 'imprecise');
+}
 
+window.previewGranularityChange = previewGranularityChange;
+window.showGranularityPreview = showGranularityPreview;
+window.clearGranularityPreview = clearGranularityPreview;
+
+// ===== Core Timeline Functions =====
 /**
- * Renders the timeline
+ * Calculates the year at a given x position
+ * @param {number} x - X position in pixels
+ * @returns {number} Calculated year
  * 
  * How it works:
- * 1. Calculates visible range
- * 2. Renders ticks and labels
- * 3. Renders timeline items
- * 4. Handles item positioning
+ * 1. Gets container dimensions
+ * 2. Calculates offset from center
+ * 3. Converts pixels to years using granularity
  * 
  * Possible errors:
- * - Invalid timeline state
- * - DOM manipulation failure
- * - Item rendering failure
+ * - Invalid x position
+ * - Container not found
  */
-function renderTimeline() {
-    const now = performance.now();
-    const timeSinceLastFrame = now - lastFrameTime;
-    
-    // Only apply quality adjustments when not scrolling
-    if (!isScrolling) {
-        // Skip if we're rendering too fast
-        if (timeSinceLastFrame < minFrameTime) {
-            requestAnimationFrame(renderTimeline);
-            return;
-        }
-        
-        // Calculate quality based on frame time, but with a minimum threshold
-        currentQuality = Math.max(0.5, Math.min(1, timeSinceLastFrame / targetFrameTime));
-    } else {
-        // During scrolling, maintain a stable quality level
-        currentQuality = 0.5;
-    }
-    
-    // Store current frame time
-    lastFrameTime = now;
+function calculateYearFromPosition(x) {
+    const containerRect = container.getBoundingClientRect();
+    const centerX = containerRect.width / 2;
+    const year = timelineState.focusYear + ((x - containerRect.left - centerX - timelineState.offsetPx) / (timelineState.pixelsPerSubtick * timelineState.granularity));
+    return year;
+}
 
-    // Update canvas
-    canvas.update();
+/**
+ * Calculates the subtick at a given x position
+ * @param {number} x - X position in pixels
+ * @returns {number} Calculated subtick (0 to granularity-1)
+ * 
+ * How it works:
+ * 1. Calculates the fractional year at the position
+ * 2. Snaps it to the nearest subtick as a TimelineDate
+ * 
+ * Possible errors:
+ * - Invalid x position
+ * - Container not found
+ * - Invalid granularity
+ */
+function calculateSubtickFromPosition(x) {
+    return TimelineDate.fromFractionalYear(calculateYearFromPosition(x)).subtick;
+}
 
-    const { focusYear, granularity, pixelsPerSubtick, offsetPx } = timelineState;
+/**
+ * Calculates the x position for a given year
+ * @param {number} year - Year to calculate position for
+ * @returns {number} X position in pixels
+ * 
+ * How it works:
+ * 1. Gets container dimensions
+ * 2. Calculates offset from focus year
+ * 3. Converts years to pixels
+ * 
+ * Possible errors:
+ * - Invalid year
+ * - Container not found
+ */
+function calculatePositionFromYear(year) {
     const containerRect = container.getBoundingClientRect();
     const centerX = containerRect.width / 2;
+    return centerX + (year - timelineState.focusYear) * timelineState.pixelsPerSubtick * timelineState.granularity + timelineState.offsetPx;
+}
 
-    // Calculate the center year
-    const centerYear = calculateYearFromPosition(centerX + containerRect.left);
-    
-    // Get visible items
-    const visibleItems = getVisibleItems(centerX, centerYear);
-    
-    // Update the centered year/subyear info with full precision
-    const centerYearInt = Math.floor(centerYear);
-    const centerSubtick = Math.round((centerYear - centerYearInt) * granularity);
-    const centerInfo = `${centerYearInt}.${centerSubtick.toString().padStart(2, '0')}`;
-    
-    // Try both possible element IDs
-    const nowDiv = document.getElementById('timeline-info-now') || document.getElementById('now');
-    if (nowDiv) {
-        nowDiv.textContent = centerInfo;
-    } else {
-        console.warn('[Debug] Could not find center position display element');
-    }
+/**
+ * Updates the tick offset based on CSS
+ * 
+ * How it works:
+ * 1. Creates temporary tick element
+ * 2. Measures its dimensions
+ * 3. Calculates offset
+ * 
+ * Possible errors:
+ * - CSS measurement failure
+ */
+function updateTickOffset() {
+    // Create a temporary tick element to measure
+    const tickSample = document.createElement('div');
+    tickSample.className = 'tick';
+    tickSample.style.visibility = 'hidden';
+    document.body.appendChild(tickSample);
+    const tickWidth = tickSample.offsetWidth;
+    const borderLeftWidth = parseFloat(getComputedStyle(tickSample).borderLeftWidth) || 0;
+    document.body.removeChild(tickSample);
+    // If using only border, offset by borderLeftWidth/2; if using width, offset by tickWidth/2
+    tickOffset = tickWidth > 0 ? tickWidth / 2 : borderLeftWidth / 2;
+}
 
-    // Send timeline update
-    sendTimelineUpdate();
+// ===== Calendar =====
+/**
+ * Calendar definition of the current timeline, or null for plain "year.subtick" dates
+ * @type {Object|null} timelineCalendar
+ * @property {Array<string>} [subtickNames] - One name per subtick (e.g. month names)
+ * @property {Array<{name: string, length: number}>} [groups] - Runs of consecutive subticks
+ *           sharing a name, e.g. 12 months of 3 tendays; lengths add up to the granularity
+ * @property {string} [subtickUnit] - Name of a subtick inside a group (e.g. 'Tenday')
+ * @property {string} [yearSuffix] - Appended to year numbers (e.g. 'DR')
+ */
+let timelineCalendar = null;
 
-    // Find visible ages and periods
-    const { ages, periods } = findVisibleAgesAndPeriods(centerX, centerYear);
+/**
+ * Checks a calendar against the granularity and makes it the current one
+ * @param {Object|null} calendar - Calendar definition (see timelineCalendar), or null for none
+ *
+ * Possible errors:
+ * - Subtick names or group lengths that don't match the granularity (calendar is ignored)
+ */
+function applyTimelineCalendar(calendar) {
+    timelineCalendar = null;
+    if (!calendar) return;
 
-    // Find the closest note to center
-    //const closestNote = findClosestNote(centerX);
-    
-    // Update the main content based on center position
-    updateMainContent(centerX, centerYear);
+    const granularity = timelineState.granularity;
+    if (calendar.subtickNames && calendar.subtickNames.length !== granularity) {
+        console.warn(`[Calendar] Expected ${granularity} subtick names, got ${calendar.subtickNames.length}; calendar ignored`);
+        return;
+    }
+    if (calendar.groups) {
+        const groupTotal = calendar.groups.reduce((sum, group) => sum + group.length, 0);
+        if (groupTotal !== granularity) {
+            console.warn(`[Calendar] Calendar groups cover ${groupTotal} subticks instead of ${granularity}; calendar ignored`);
+            return;
+        }
+    }
+    timelineCalendar = calendar;
+}
 
-    // Initialize placement tracking arrays
-    const abovePlaced = [];
-    const belowPlaced = [];
-    const itemBoxes = [];
-    const timelineY = containerRect.height / 2;
-    const itemBoxHeight = 30;
-    const itemBoxMargin = 5;
+/**
+ * Sets the calendar used for every date label and redraws the timeline with it
+ * @param {Object|null} calendar - Calendar definition (see timelineCalendar), or null for none
+ */
+function setTimelineCalendar(calendar) {
+    applyTimelineCalendar(calendar);
+    renderTimeline();
+}
 
-    // Track rendered items count
-    let renderedItemCount = 0;
-    
-    // Calculate uniform box width once for performance optimization
-    let uniformBoxWidth = null;
-    function getUniformBoxWidth() {
-        if (uniformBoxWidth === null) {
-            // Create a temporary box to measure width
-            const testBox = document.createElement('div');
-            testBox.className = 'timeline-item-box';
-            testBox.style.position = 'absolute';
-            testBox.style.left = '0px';
-            testBox.style.top = '0px';
-            testBox.style.visibility = 'hidden';
-            
-            // Add minimal content to get realistic width
-            const testSpan = document.createElement('span');
-            testSpan.textContent = 'Test';
-            testBox.appendChild(testSpan);
-            
-            timeline.appendChild(testBox);
-            uniformBoxWidth = testBox.offsetWidth;
-            timeline.removeChild(testBox);
+/**
+ * Finds the group a subtick belongs to
+ * @param {number} subtick - Subtick (0 to granularity-1)
+ * @returns {{group: Object, index: number}|null} Group and the subtick's index inside it
+ */
+function getCalendarGroup(subtick) {
+    if (!timelineCalendar || !timelineCalendar.groups) return null;
+    let first = 0;
+    for (const group of timelineCalendar.groups) {
+        if (subtick < first + group.length) {
+            return { group, index: subtick - first };
         }
-        return uniformBoxWidth;
+        first += group.length;
     }
+    return null;
+}
 
-    // Find all items that overlap with the current center position
-    const overlappingItems = visibleItems.filter(item => {
-        const itemStartYear = parseFloat(item.year || item.date || 0);
-        const itemEndYear = parseFloat(item.end_year !== undefined && item.end_year !== null ? item.end_year : (item.year || 0));
-        return centerYear >= itemStartYear && centerYear <= itemEndYear;
-    });
+/**
+ * Formats a year number with the calendar's year suffix
+ * @param {number} year - Year
+ * @returns {string} Year label
+ */
+function formatCalendarYear(year) {
+    const label = formatDisplayYear(year);
+    const suffix = timelineCalendar && timelineCalendar.yearSuffix;
+    // Era and BCE/CE labels already name their reckoning
+    return suffix && label === `${year}` ? `${label} ${suffix}` : label;
+}
 
-    // Sort items by priority: Age items first, then by item_index
-    overlappingItems.sort((a, b) => {
-        if (a.type === 'Age' && b.type !== 'Age') return -1;
-        if (a.type !== 'Age' && b.type === 'Age') return 1;
-        return (a.item_index || 0) - (b.item_index || 0);
-    });
+/**
+ * Short label for a subtick tick on the canvas
+ * @param {number} subtick - Subtick (0 to granularity-1)
+ * @returns {string} Subtick name, group name at the start of a group, or the subtick number
+ */
+function getSubtickLabel(subtick) {
+    if (timelineCalendar && timelineCalendar.subtickNames) {
+        return timelineCalendar.subtickNames[subtick];
+    }
+    const grouped = getCalendarGroup(subtick);
+    if (grouped) {
+        return grouped.index === 0 ? grouped.group.name : `${grouped.index + 1}`;
+    }
+    return subtick.toString();
+}
 
-    // Get the image container
-    const imageContainer = document.getElementById('image-container');
-    if (!imageContainer) return;
+/**
+ * Formats a date with the calendar's names
+ * @param {number} year - Year
+ * @param {number} subtick - Subtick (0 to granularity-1)
+ * @returns {string} Date such as "Hammer 1204 DR" or "Tenday 2 of Hammer, 1204 DR"
+ */
+function formatCalendarDate(year, subtick) {
+    if (timelineCalendar && timelineCalendar.subtickNames) {
+        return `${timelineCalendar.subtickNames[subtick]} ${formatCalendarYear(year)}`;
+    }
+    const grouped = getCalendarGroup(subtick);
+    if (grouped) {
+        const unit = timelineCalendar.subtickUnit ? `${timelineCalendar.subtickUnit} ` : '';
+        return `${unit}${grouped.index + 1} of ${grouped.group.name}, ${formatCalendarYear(year)}`;
+    }
+    // Without names the subtick stays on the year number, ahead of the suffix ("1204.3 DR")
+    const label = formatDisplayYear(year);
+    const suffix = timelineCalendar && timelineCalendar.yearSuffix;
+    return suffix && label === `${year}` ? `${year}.${subtick} ${suffix}` : `${label}.${subtick}`;
+}
 
-    // Clear existing images
-    imageContainer.innerHTML = '';
+/**
+ * Parses a date written with the calendar's names
+ * @param {string} text - Text such as "Hammer 1204", "1204 Hammer" or "Hammer 2, 1204 DR"
+ * @returns {{year: number, subtick: number}|null} Parsed date, or null if it doesn't name a subtick or group
+ */
+function parseCalendarDate(text) {
+    if (!timelineCalendar || !text) return null;
 
-    // Display images for visible ages
-    ages.forEach(age => {
-        if (age.pictures && age.pictures.length > 0) {
-            const picture = age.pictures[0];
-            if (picture.file_path) {
-                const img = document.createElement('img');
-                img.className = 'cascading-image age-image';
-                img.setAttribute('data-item-id', age.id);
-                const fileUrl = 'file://' + picture.file_path.replace(/\\/g, '/');
-                img.src = fileUrl;
-                img.alt = age.title || 'Age Image';
-                imageContainer.appendChild(img);
-                renderedItemCount++;
-            }
-        }
-    });
+    let rest = text.trim().toLowerCase();
+    const suffix = timelineCalendar.yearSuffix && timelineCalendar.yearSuffix.toLowerCase();
+    if (suffix && rest.endsWith(suffix)) {
+        rest = rest.slice(0, -suffix.length).trim();
+    }
 
-    // Display images for visible periods
-    periods.forEach((period, index) => {
-        if (period.pictures && period.pictures.length > 0) {
-            const picture = period.pictures[0];
-            if (picture.file_path) {
-                const img = document.createElement('img');
-                img.className = 'cascading-image';
-                if (index === 0) {
-                    img.className += ' main';
-                } else if (index <= 2) {
-                    img.className += ' secondary';
-                    img.className += index % 2 === 0 ? ' even' : ' odd';
-                } else if (index <= 4) {
-                    img.className += ' tertiary';
-                    img.className += index % 2 === 0 ? ' even' : ' odd';
-                } else if (index <= 6) {
-                    img.className += ' quaternary';
-                    img.className += index % 2 === 0 ? ' even' : ' odd';
-                } else if (index <= 8) {
-                    img.className += ' quinary';
-                    img.className += index % 2 === 0 ? ' even' : ' odd';
-                }
-                img.setAttribute('data-item-id', period.id);
-                // Set z-index based on item_index
-                img.style.zIndex = period.item_index || 0;
-                const fileUrl = 'file://' + picture.file_path.replace(/\\/g, '/');
-                img.src = fileUrl;
-                img.alt = period.title || 'Period Image';
-                imageContainer.appendChild(img);
-                renderedItemCount++;
+    const yearMatch = rest.match(/(^|\s|,)(-?\d+)\s*$/) || rest.match(/^(-?\d+)(\s|,|$)/);
+    if (!yearMatch) return null;
+    const year = parseInt(yearMatch[0].replace(/[\s,]/g, ''));
+    const words = rest.replace(yearMatch[0], ' ').replace(/,/g, ' ').trim();
+    const unit = timelineCalendar.subtickUnit ? timelineCalendar.subtickUnit.toLowerCase() : null;
+
+    if (timelineCalendar.subtickNames) {
+        const subtick = timelineCalendar.subtickNames.findIndex(name => name.toLowerCase() === words);
+        return subtick === -1 ? null : { year, subtick };
+    }
+
+    if (timelineCalendar.groups) {
+        // "<unit> <n> of <group>", "<group> <n>" or just "<group>"
+        const withoutUnit = unit && words.startsWith(unit) ? words.slice(unit.length).trim() : words;
+        const cleaned = withoutUnit.replace(/\s+of\s+/, ' ');
+        const numberMatch = cleaned.match(/(^|\s)(\d+)(\s|$)/);
+        const index = numberMatch ? parseInt(numberMatch[2]) - 1 : 0;
+        const groupName = cleaned.replace(/(^|\s)\d+(\s|$)/, ' ').trim();
+
+        let first = 0;
+        for (const group of timelineCalendar.groups) {
+            if (group.name.toLowerCase() === groupName) {
+                return index >= 0 && index < group.length ? { year, subtick: first + index } : null;
             }
+            first += group.length;
         }
-    });
+    }
+    return null;
+}
 
-    // Calculate the leftmost and rightmost visible years based on current offset and size
-    const leftYear = focusYear - ((centerX + offsetPx) / (granularity * pixelsPerSubtick));
-    const rightYear = focusYear + ((containerRect.width - centerX - offsetPx) / (granularity * pixelsPerSubtick));
+window.setTimelineCalendar = setTimelineCalendar;
 
-    // Add a buffer of subticks on both sides for edge safety
-    const bufferSubticks = granularity * (granularity < 60 ? 10 : 2);
-    const startSubtick = Math.floor(leftYear * granularity) - bufferSubticks;
-    const endSubtick = Math.ceil(rightYear * granularity) + bufferSubticks;
+// ===== Era Year Display =====
+/**
+ * How year numbers are displayed by default; yearFormat holds the current options
+ * @type {Object} YEAR_FORMAT_DEFAULTS
+ * @property {boolean} eraRelative - Count years from the enclosing Age's epoch when the Age has an era
+ * @property {string} negativeStyle - 'minus' ("-44") or 'era' ("44 BCE") for years before year 1
+ * @property {boolean} noYearZero - Year 0 is shown as the first year before the era (1 BCE, like the Gregorian calendar)
+ * @property {string} beforeLabel - Label for years before the era in 'era' style
+ * @property {string} afterLabel - Optional label for years in the era in 'era' style (e.g. 'CE')
+ *
+ * Ages opt into era numbering with these item fields:
+ * - era_abbreviation: Prefix shown instead of the absolute year (e.g. 'T.A.')
+ * - era_epoch_year: Absolute year counted as the era's first year (defaults to the Age's start year)
+ * - era_first_year: Number of the era's first year (defaults to 1)
+ */
+const YEAR_FORMAT_DEFAULTS = {
+    eraRelative: false,
+    negativeStyle: 'minus',
+    noYearZero: false,
+    beforeLabel: 'BCE',
+    afterLabel: ''
+};
+const yearFormat = { ...YEAR_FORMAT_DEFAULTS };
 
-    // Clear existing timeline elements
-    timeline.innerHTML = "";
+/**
+ * Sets the year display options; anything not given goes back to its default
+ * @param {Object} options - Any of the yearFormat properties
+ */
+function setYearFormat(options = {}) {
+    Object.assign(yearFormat, YEAR_FORMAT_DEFAULTS, options);
+}
 
-    // Remove existing age and period items
-    const existingAgeItems = container.querySelectorAll('.timeline-age-item');
-    existingAgeItems.forEach(item => item.remove());
-    
-    const existingPeriodItems = container.querySelectorAll('.timeline-period-item');
-    existingPeriodItems.forEach(item => item.remove());
+/**
+ * Whether years are displayed as anything other than the plain absolute number
+ * @returns {boolean} True when era numbering or era-style negatives are on
+ */
+function isYearFormatActive() {
+    return yearFormat.eraRelative || yearFormat.negativeStyle === 'era';
+}
 
-    // Track positions of items for stacking
-    const itemPositions = new Map(); // For regular items
-    const periodPositions = []; // For period items
+/**
+ * Finds the innermost Age with an era that contains a year
+ * @param {number} year - Year to look up
+ * @returns {Object|null} Age item, or null if no enclosing Age has an era
+ */
+function findEraAge(year) {
+    const ages = rangeItemIndex.queryEntries(year, year)
+        .filter(entry => entry.item.type === 'Age' && entry.item.era_abbreviation);
+    if (ages.length === 0) return null;
+    // Entries come sorted by start; the latest-starting Age is the innermost
+    return ages[ages.length - 1].item;
+}
 
-    // First pass: render all items to calculate positions
-    visibleItems.forEach((item, idx) => {
-        if (!item) return;
-        // Skip rendering the box for Timeline_start and Timeline_end
-        if (item.type === 'Timeline_start' || item.type === 'Timeline_end') return;
+/**
+ * Formats a year number for display, applying era numbering and negative year style
+ * @param {number} year - Absolute year
+ * @returns {string} Year label such as "T.A. 3019", "44 BCE" or "1204"
+ */
+function formatDisplayYear(year) {
+    if (yearFormat.eraRelative) {
+        const age = findEraAge(year);
+        if (age) {
+            const epoch = age.era_epoch_year !== undefined && age.era_epoch_year !== null ? parseFloat(age.era_epoch_year) : parseFloat(age.year || age.date || 0);
+            const firstYear = age.era_first_year !== undefined && age.era_first_year !== null ? parseInt(age.era_first_year) : 1;
+            return `${age.era_abbreviation} ${year - epoch + firstYear}`;
+        }
+    }
 
-        if (item.type === 'Age') {
-            // Calculate start and end positions
-            const startYear = parseFloat(item.year || item.date || 0);
-            const startSubtick = parseFloat(item.subtick || 0);
-            const endYear = parseFloat(item.end_year !== undefined && item.end_year !== null ? item.end_year : (item.year || 0));
-            const endSubtick = parseFloat(item.end_subtick !== undefined && item.end_subtick !== null ? item.end_subtick : (item.subtick || 0));
-            
-            // Calculate positions relative to the timeline's center
-            const containerRect = container.getBoundingClientRect();
-            const centerX = containerRect.width / 2;
-            const startPosition = centerX + (startYear - focusYear) * pixelsPerSubtick * granularity + offsetPx + (startSubtick / granularity) * pixelsPerSubtick * granularity;
-            const endPosition = centerX + (endYear - focusYear) * pixelsPerSubtick * granularity + offsetPx + (endSubtick / granularity) * pixelsPerSubtick * granularity;
-            
-            // Calculate the actual start and end positions relative to the container
-            const actualStartPosition = Math.max(0, startPosition);
-            const actualEndPosition = Math.min(containerRect.width, endPosition);
-            
-            // Only render if there's a visible portion
-            if (actualEndPosition > actualStartPosition) {
-                // Create the age item element
-                const ageItem = document.createElement('div');
-                ageItem.className = 'timeline-age-item';
-                ageItem.style.left = `${actualStartPosition}px`;
-                ageItem.style.width = `${actualEndPosition - actualStartPosition}px`;
-                ageItem.style.top = "calc(50% + 1px)"; // Center vertically on the timeline
-                ageItem.setAttribute('data-id', item.id);
-                ageItem.setAttribute('data-year', item.year);
-                ageItem.setAttribute('data-end-year', item.end_year);
-                
-                // Set the background color from the database
-                if (item.color) {
-                    ageItem.style.backgroundColor = item.color;
-                }
+    if (yearFormat.negativeStyle !== 'era') {
+        return `${year}`;
+    }
 
-                // Add mousemove event listener to update bubble position
-                ageItem.addEventListener('mousemove', (e) => {
-                    if (globalHoverBubble) {
-                        // Get the year and subtick
-                        const year = item.year;
-                        const subtick = item.subtick || 0;
-                        const formattedYear = `${year}.${subtick.toString().padStart(2, '0')}`;
-                        
-                        // Set the content
-                        globalHoverBubble.textContent = `${item.title} (${formattedYear})`;
-                        
-                        // Position the bubble
-                        const bubbleWidth = globalHoverBubble.offsetWidth;
-                        const screenWidth = window.innerWidth;
-                        let left = e.clientX;
-                        
-                        // Keep bubble within screen bounds
-                        if (left + bubbleWidth/2 > screenWidth) {
-                            left = screenWidth - bubbleWidth/2;
-                        } else if (left - bubbleWidth/2 < 0) {
-                            left = bubbleWidth/2;
-                        }
-                        
-                        globalHoverBubble.style.left = `${left}px`;
-                        globalHoverBubble.style.top = `${e.clientY - 40}px`;
-                        globalHoverBubble.style.opacity = '1';
-                    }
-                });
-                
-                // Add mouseout event to hide bubble
-                ageItem.addEventListener('mouseout', () => {
-                    if (globalHoverBubble) {
-                        globalHoverBubble.style.opacity = '0';
-                    }
-                });
+    // Years before the era: with no year zero, year 0 is 1 BCE and -1 is 2 BCE
+    const isBeforeEra = yearFormat.noYearZero ? year <= 0 : year < 0;
+    if (isBeforeEra) {
+        return `${yearFormat.noYearZero ? 1 - year : -year} ${yearFormat.beforeLabel}`;
+    }
+    return yearFormat.afterLabel ? `${year} ${yearFormat.afterLabel}` : `${year}`;
+}
 
-                // Add mouseover event to show bubble
-                ageItem.addEventListener('mouseover', () => {
-                    if (globalHoverBubble) {
-                        globalHoverBubble.style.opacity = '1';
-                    }
-                });
+/**
+ * Whether dates are formatted through the calendar/era formatter instead of plain "year.subtick"
+ * @returns {boolean} True when a calendar or a year format is active
+ */
+function usesFormattedDates() {
+    return timelineCalendar !== null || isYearFormatActive();
+}
 
-                // Add click handler for item viewer
-                if (window.openItemViewer) {
-                    ageItem.addEventListener('click', () => {
-                        // First show the view modal
-                        window.openItemViewer(item.id);
-                    });
-                }
-                
-                container.appendChild(ageItem);
-                renderedItemCount++;
-            }
-        } else if (item.type === 'Period') {
-            const stackLevel = periodStackLevels[item.id] || 0;
-            const periodAltIndex = periodAltIndices[item.id] || 0;
-            const isAbove = (periodAltIndex % 2 === 0);
-            // Calculate start and end positions
-            const startYear = parseFloat(item.year || item.date || 0);
-            const startSubtick = parseFloat(item.subtick || 0);
-            const endYear = parseFloat(item.end_year !== undefined && item.end_year !== null ? item.end_year : (item.year || 0));
-            const endSubtick = parseFloat(item.end_subtick !== undefined && item.end_subtick !== null ? item.end_subtick : (item.subtick || 0));
-            
-            // Calculate positions relative to the timeline's center
-            const containerRect = container.getBoundingClientRect();
-            const centerX = containerRect.width / 2;
-            const startPosition = centerX + (startYear - focusYear) * pixelsPerSubtick * granularity + offsetPx + (startSubtick / granularity) * pixelsPerSubtick * granularity;
-            const endPosition = centerX + (endYear - focusYear) * pixelsPerSubtick * granularity + offsetPx + (endSubtick / granularity) * pixelsPerSubtick * granularity;
-            
-            // Calculate the actual start and end positions relative to the container
-            const actualStartPosition = Math.max(0, startPosition);
-            const actualEndPosition = Math.min(containerRect.width, endPosition);
-            
-            // Only render if there's a visible portion
-            if (actualEndPosition > actualStartPosition) {
-                // Create the period item element
-                const periodItem = document.createElement('div');
-                periodItem.className = 'timeline-period-item';
-                periodItem.style.left = `${actualStartPosition}px`;
-                periodItem.style.width = `${actualEndPosition - actualStartPosition}px`;
-                
-                // Calculate vertical position
-                const baseOffset = 10;
-                const stackOffset = stackLevel * 13;
-                const totalOffset = baseOffset + stackOffset;
-                const yPos = containerRect.height / 2 + (isAbove ? ((totalOffset * -1) - 4) : totalOffset);
-                periodItem.style.top = `${yPos}px`;
-                
-                // Set the color from the database
-                if (item.color) {
-                    periodItem.style.backgroundColor = item.color;
-                }
-                
-                periodItem.setAttribute('data-id', item.id);
-                periodItem.setAttribute('data-year', item.year);
-                periodItem.setAttribute('data-end-year', item.end_year);
-                periodItem.setAttribute('data-ystack', stackLevel);
+window.setYearFormat = setYearFormat;
+
+// ===== Secondary Calendar Axis =====
+/**
+ * Converts a primary (timelineState) year to the secondary calendar
+ * @param {number} value - Fractional primary year
+ * @returns {number} Fractional secondary year
+ */
+function toSecondaryYear(value) {
+    const { offset = 0, scale = 1 } = timelineState.secondaryAxis;
+    return value * scale + offset;
+}
+
+/**
+ * Converts a secondary calendar year back to the primary calendar
+ * @param {number} value - Fractional secondary year
+ * @returns {number} Fractional primary year
+ */
+function fromSecondaryYear(value) {
+    const { offset = 0, scale = 1 } = timelineState.secondaryAxis;
+    return (value - offset) / scale;
+}
+
+/**
+ * Formats a primary year as a secondary calendar date
+ * @param {number} value - Fractional primary year
+ * @returns {string} Date such as "Elven 520.3"
+ */
+function formatSecondaryDate(value) {
+    const axis = timelineState.secondaryAxis;
+    const granularity = axis.granularity || 1;
+    const { year, subtick } = TimelineDate.fromFractionalYear(toSecondaryYear(value), granularity);
+    const name = axis.abbreviation || axis.name || '';
+    const date = granularity > 1 ? `${year}.${subtick}` : `${year}`;
+    return name ? `${name} ${date}` : date;
+}
+
+/**
+ * Parses a date written in the secondary calendar
+ * @param {string} text - Text naming the secondary calendar, e.g. "Elven 520.3" or "520.3 elven"
+ * @returns {number|null} Fractional primary year, or null if the text isn't a secondary date
+ */
+function parseSecondaryDate(text) {
+    const axis = timelineState.secondaryAxis;
+    if (!axis || !text) return null;
+
+    let rest = text.trim().toLowerCase();
+    const names = [axis.name, axis.abbreviation].filter(Boolean).map(name => name.toLowerCase());
+    const name = names.find(candidate => rest.startsWith(candidate) || rest.endsWith(candidate));
+    if (!name) return null;
+    rest = (rest.startsWith(name) ? rest.slice(name.length) : rest.slice(0, -name.length)).trim();
+
+    const match = rest.match(/^(-?\d+)(?:\.(\d+))?$/);
+    if (!match) return null;
+    const granularity = axis.granularity || 1;
+    const subtick = match[2] ? parseInt(match[2]) : 0;
+    if (subtick >= granularity) return null;
+    return fromSecondaryYear(parseInt(match[1]) + subtick / granularity);
+}
+
+/**
+ * Sets or clears the secondary calendar axis
+ * @param {Object|null} axis - Axis definition, or null to hide the axis
+ * @param {string} axis.name - Calendar name (e.g. 'Elven reckoning')
+ * @param {string} [axis.abbreviation] - Short name used in labels
+ * @param {number} [axis.offset] - Secondary year at primary year 0
+ * @param {number} [axis.scale] - Secondary years per primary year
+ * @param {number} [axis.granularity] - Subticks per secondary year
+ */
+function setSecondaryAxis(axis) {
+    timelineState.secondaryAxis = validateSecondaryAxis(axis);
+    renderTimeline();
+}
+
+/**
+ * Checks a secondary axis definition
+ * @param {Object|null} axis - Axis definition
+ * @returns {Object|null} The axis, or null if it is missing or invalid
+ *
+ * Possible errors:
+ * - Non-positive scale (axis is ignored)
+ */
+function validateSecondaryAxis(axis) {
+    if (!axis) return null;
+    if (axis.scale !== undefined && !(axis.scale > 0)) {
+        console.warn('[Secondary axis] Scale must be positive; axis ignored');
+        return null;
+    }
+    return axis;
+}
+
+window.setSecondaryAxis = setSecondaryAxis;
+
+/**
+ * Formats a number line label
+ * @param {number} v - Value to format
+ * @param {number} granularity - Timeline granularity
+ * @returns {string} Formatted label
+ * 
+ * How it works:
+ * 1. Rounds to nearest subtick
+ * 2. Separates year and subtick
+ * 3. Formats as "year.subtick"
+ * 
+ * Possible errors:
+ * - Invalid value
+ * - Invalid granularity
+ */
+function getNumberLineLabel(v, granularity) {
+    return TimelineDate.fromFractionalYear(v, granularity).format('.');
+}
+
+/**
+ * Formats a hover label
+ * @param {number} v - Value to format
+ * @param {number} granularity - Timeline granularity
+ * @returns {string} Formatted label
+ * 
+ * How it works:
+ * 1. Rounds to nearest subtick
+ * 2. Formats as "year. subtick"; negative years count subticks forward from
+ *    the whole year, like stored item dates
+ * 
+ * Possible errors:
+ * - Invalid value
+ * - Invalid granularity
+ */
+function getHoverLabel(v, granularity) {
+    return TimelineDate.fromFractionalYear(v, granularity).format('. ');
+}
+
+/**
+ * Updates the main content area based on items at the center position
+ * @param {number} centerX - X position of the center
+ * @param {number} centerYear - Year at the center position
+ */
+function updateMainContent(centerX, centerYear) {
+    const mainContentRight = document.querySelector('.main-content-right');
+    if (!mainContentRight) return;
+
+    // Clear existing content
+    mainContentRight.innerHTML = '';
+
+    // Find age and period items where the center point falls between start and end positions
+    const centerItems = rangeItemIndex.query(centerYear, centerYear).filter(isItemShown);
+    const ageItems = centerItems.filter(item => item.type?.toLowerCase() === 'age');
+    const periodItems = centerItems.filter(item => item.type?.toLowerCase() === 'period')
+        .sort((a, b) => (a.item_index || 0) - (b.item_index || 0));
+
+    // Find note items within displayRadius pixels of center
+    const radiusYears = timelineState.displayRadius / (timelineState.pixelsPerSubtick * timelineState.granularity);
+    const noteItems = itemIndex.query(centerYear - radiusYears, centerYear + radiusYears).filter(item => {
+        if (!item || (item.type?.toLowerCase() == 'age' || item.type?.toLowerCase() == 'period')) return false;
+        return !!item.show_in_notes && isItemShown(item);
+    }).sort((a, b) => (a.item_index || 0) - (b.item_index || 0));
+
+    // Add all visible ages
+    if (ageItems.length > 0) {
+        const agesDiv = document.createElement('div');
+        agesDiv.className = 'center-ages';
+
+        ageItems.forEach((age, index) => {
+            const ageDiv = document.createElement('div');
+            ageDiv.className = 'center-age';
+            applyFilterFlag(ageDiv, age);
 
-                // Add mousemove event listener to update bubble position
-                periodItem.addEventListener('mousemove', (e) => {
-                    if (globalHoverBubble) {
-                        // Get the year and subtick
-                        const year = item.year;
-                        const subtick = item.subtick || 0;
-                        const formattedYear = `${year}.${subtick.toString().padStart(2, '0')}`;
-                        
-                        // Set the content
-                        globalHoverBubble.textContent = `${item.title} (${formattedYear})`;
-                        
-                        // Position the bubble
-                        const bubbleWidth = globalHoverBubble.offsetWidth;
-                        const screenWidth = window.innerWidth;
-                        let left = e.clientX;
-                        
-                        // Keep bubble within screen bounds
-                        if (left + bubbleWidth/2 > screenWidth) {
-                            left = screenWidth - bubbleWidth/2;
-                        } else if (left - bubbleWidth/2 < 0) {
-                            left = bubbleWidth/2;
-                        }
-                        
-                        globalHoverBubble.style.left = `${left}px`;
-                        globalHoverBubble.style.top = `${e.clientY - 25}px`;
-                globalHoverBubble.style.opacity = '1';
+            const title = document.createElement(`h${Math.min(index + 1, 6)}`);
+            title.textContent = age.title || '(No Title)';
+            ageDiv.appendChild(title);
+
+            if (age.description) {
+                const description = document.createElement('p');
+                description.textContent = age.description;
+                ageDiv.appendChild(description);
             }
+
+            agesDiv.appendChild(ageDiv);
         });
-                
-                // Add mouseout event to hide bubble
-                periodItem.addEventListener('mouseout', () => {
-                    if (globalHoverBubble) {
-                globalHoverBubble.style.opacity = '0';
+
+        mainContentRight.appendChild(agesDiv);
+    }
+
+    // Add all visible periods
+    if (periodItems.length > 0) {
+        const periodsDiv = document.createElement('div');
+        periodsDiv.className = 'center-periods';
+
+        periodItems.forEach(period => {
+            const periodDiv = document.createElement('div');
+            periodDiv.className = 'center-period';
+            applyFilterFlag(periodDiv, period);
+
+            const title = document.createElement('h2');
+            title.textContent = period.title || '(No Title)';
+            periodDiv.appendChild(title);
+
+            if (period.description) {
+                const description = document.createElement('p');
+                description.textContent = period.description;
+                periodDiv.appendChild(description);
             }
+
+            periodsDiv.appendChild(periodDiv);
         });
 
-                // Add mouseover event to show bubble
-                periodItem.addEventListener('mouseover', () => {
-                    if (globalHoverBubble) {
-                        globalHoverBubble.style.opacity = '1';
-                    }
-                });
+        mainContentRight.appendChild(periodsDiv);
+    }
 
-                // Add click handler for item viewer
-                if (window.openItemViewer) {
-                    periodItem.addEventListener('click', () => {
-                        // First show the view modal
-                        window.openItemViewer(item.id);
-                    });
-                }
-                
-                container.appendChild(periodItem);
-                renderedItemCount++;
-            }
-        } else {
-            // Regular item handling (existing code)
-            const itemYear = parseFloat(item.year || item.date || 0);
-            const itemSubtick = parseInt(item.subtick || 0);
-            const itemX = centerX + (itemYear - focusYear) * pixelsPerSubtick * granularity + offsetPx + (itemSubtick / granularity) * pixelsPerSubtick * granularity;
+    let pictureItems = [];
+    let newNoteItems = [];
 
-            if (item.type.toLowerCase() === 'bookmark') {
-                // Create the bookmark line
-                const bookmarkLine = document.createElement('div');
-                bookmarkLine.className = 'timeline-bookmark-line';
-                bookmarkLine.style.left = `${itemX}px`;
-                timeline.appendChild(bookmarkLine);
+    if(noteItems.length > 0){
+        pictureItems = noteItems.filter(item => item.type?.toLowerCase() === 'picture');
+        newNoteItems = noteItems.filter(item => item.type?.toLowerCase() !== 'picture');
+    }
 
-                // Create the bookmark dot
-                const bookmarkDot = document.createElement('div');
-                bookmarkDot.className = 'timeline-bookmark-dot';
-                bookmarkDot.style.left = `${itemX}px`;
-                bookmarkDot.style.top = `${timelineY}px`;
-                timeline.appendChild(bookmarkDot);
-
-                // Set data attributes for identification
-                bookmarkLine.setAttribute('data-id', item.id || item['story-id'] || idx);
-                bookmarkLine.setAttribute('data-year', `${itemYear}.${itemSubtick.toString().padStart(2, '0')}`);
-                bookmarkLine.setAttribute('data-type', item.type);
-                bookmarkDot.setAttribute('data-id', item.id || item['story-id'] || idx);
-                bookmarkDot.setAttribute('data-year', `${itemYear}.${itemSubtick.toString().padStart(2, '0')}`);
-                bookmarkDot.setAttribute('data-type', item.type);
-
-                // Add click handlers
-                const clickHandler = (e) => {
-                    e.stopPropagation();
-                    window.openItemViewer && window.openItemViewer(e.target.getAttribute('data-id'));
-                };
-                bookmarkLine.addEventListener('click', clickHandler);
-                bookmarkDot.addEventListener('click', clickHandler);
-
-                // Add hover handlers
-                const hoverHandler = (e) => {
-                    // Show hover bubble
-                    let hoverBubble = document.querySelector('.timeline-hover-bubble');
-                    if (!hoverBubble) {
-                        hoverBubble = document.createElement('div');
-                        hoverBubble.className = 'timeline-hover-bubble';
-                        document.body.appendChild(hoverBubble);
-                    }
-                    
-                    // Get the year and title
-                    const year = e.target.getAttribute('data-year');
-                    const title = item.title || '(No Title)';
-                    hoverBubble.textContent = `${title} (${year})`;
-                    
-                    // Calculate position relative to the viewport
-                    const rect = e.target.getBoundingClientRect();
-                    hoverBubble.style.left = `${rect.left + rect.width/2}px`;
-                    hoverBubble.style.top = `${rect.top - 25}px`;
-                    hoverBubble.classList.add('visible');
-                };
-
-                const leaveHandler = () => {
-                    // Hide hover bubble
-                    const hoverBubble = document.querySelector('.timeline-hover-bubble');
-                    if (hoverBubble) {
-                        hoverBubble.classList.remove('visible');
-                    }
-                };
+    if(pictureItems.length > 0){
+        const picturesDiv = document.createElement('div');
+        picturesDiv.className = 'center-notes';
 
-                bookmarkLine.addEventListener('mouseenter', hoverHandler);
-                bookmarkLine.addEventListener('mouseleave', leaveHandler);
-                bookmarkDot.addEventListener('mouseenter', hoverHandler);
-                bookmarkDot.addEventListener('mouseleave', leaveHandler);
-                renderedItemCount += 2; // Count both the line and dot
-            } else {
-                // Use the stable item_index to determine above/below placement
-                let isAbove = (item.item_index % 2 === 0);
-                let y;
-                let placedItems = isAbove ? abovePlaced : belowPlaced;
-                if (isAbove) {
-                    y = 0;
-                } else {
-                    y = containerRect.height - itemBoxHeight;
-                }
-                // Cascade down (for above) or up (for below) if overlapping
-                let foundOverlap = true;
-                while (foundOverlap) {
-                    foundOverlap = false;
-                    for (const placed of placedItems) {
-                        // Check horizontal overlap
-                        if (Math.abs(placed.x - itemX) < 150) {
-                            // Check vertical overlap
-                            if (isAbove) {
-                                if (y + itemBoxHeight > placed.y && y < placed.y + itemBoxHeight) {
-                                    y = placed.y + itemBoxHeight + itemBoxMargin;
-                                    foundOverlap = true;
-                                }
-                            } else {
-                                if (y < placed.y + itemBoxHeight && y + itemBoxHeight > placed.y) {
-                                    y = placed.y - itemBoxHeight - itemBoxMargin;
-                                    foundOverlap = true;
-                                }
-                            }
-                        }
-                    }
-                }
-                placedItems.push({ x: itemX, y });
-                if (isAbove) {
-                    y = y; // already at the correct position
-                } else {
-                    // For below, y is already correct
-                }
+        pictureItems.forEach(picture => {
+            const pictureDiv = document.createElement('div');
+            pictureDiv.className = 'center-note picture-note';
+            applyFilterFlag(pictureDiv, picture);
 
-                // Adjust y so the connector line connects closer to the edge nearest the timeline center
-                const verticalOffset = 10; // px
-                let boxTop = y;
-                if (isAbove) {
-                    boxTop = y + verticalOffset;
-                } else {
-                    boxTop = y - verticalOffset;
-                }
+            const contentDiv = document.createElement('div');
+            contentDiv.className = 'note-content';
 
-                const isRightOfCenter = itemX >= centerX;
-                const connectionMargin = 10; // px, consistent distance from timeline line
-                let boxLeft;
-                if (isRightOfCenter) {
-                    // Box's left edge starts at a fixed distance from the timeline line
-                    boxLeft = itemX + connectionMargin;
-                } else {
-                    // Box's right edge ends at a fixed distance from the timeline line
-                    // We'll calculate this dynamically based on actual box width after creation
-                    boxLeft = itemX - connectionMargin;
-                }
+            const title = document.createElement('h2');
+            title.textContent = picture.title || '(No Title)';
+            contentDiv.appendChild(title);
 
-                // Create the box
-                const box = document.createElement('div');
+            pictureDiv.appendChild(contentDiv);
 
-                if (item.type.toLowerCase() === 'picture' || (item.pictures && item.pictures.length > 0 && item.type.toLowerCase() !== 'note' && item.type.toLowerCase() !== 'event')) {
-                    box.className = 'timeline-picture-box' + (isAbove ? ' above' : ' below');
+            if (picture.pictures && picture.pictures.length > 0) {
+                if (picture.pictures.length === 1) {
                     const img = document.createElement('img');
-                    img.src = 'file://' + item.pictures[0].file_path.replace(/\\/g, '/');
-                    img.alt = item.title || 'Timeline Image';
-                    box.appendChild(img);
-                    box.style.position = 'absolute';
-                    box.style.left = `${itemX - 50}px`; // Center the box on the line
-                    box.style.top = isAbove ? `${timelineY - 170}px` : `${timelineY + 70}px`; // Position above/below the stem
-                } else {
-                    box.className = 'timeline-item-box' + (isAbove ? ' above' : ' below');
-
-                    let color = item.color;
-                    // TODO: HERE IS THE BOX SHADOW CODE
-                    if(color && color != 'transparent' && color.toLowerCase() != 'transparent' && color.toLowerCase() != 'none' && color.toLowerCase() != '#000000' && color.toLowerCase() != '#ffffff'){
-                        //alert(color);
-                        let boxColor = document.createElement('div');
-                        boxColor.className = 'timeline-item-box-color';
-                        boxColor.style.width = `5px`;
-                        boxColor.style.height = `100%`;
-                        boxColor.style.backgroundColor = color;
-                        boxColor.style.position = 'absolute';
-                        boxColor.style.left = `0px`;
-                        boxColor.style.top = `0px`;
-                        box.appendChild(boxColor);
-                    }
-                    
-                    if (item.type && item.type.toLowerCase() === 'note') {
-                        // Add the calligraphic letter SVG
-                        const noteIcon = document.createElement('div');
-                        noteIcon.className = 'note-icon';
-                        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-                        svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-                        svg.setAttribute('viewBox', '0 0 260.481 370');
-                        svg.setAttribute('width', '20');
-                        svg.setAttribute('height', '20');
-                        svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
-                        
-                        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-                        path.setAttribute('d', 'M25.457 355.248c11.465-9.44 30.713-7.155 47.235-7.155q32.876 0 59.176 24.783l49.567-49.566-8.093-9.104-18.208 17.702q-29.841-17.702-63.728-17.702l19.725-55.636h109.755l20.737 69.798q9.61 33.887 29.84 44.508l50.073-49.566-8.092-9.104-18.209 18.208q-10.115-4.047-14.667-12.139-1.012-2.023-3.035-6.575-1.517-4.552-3.54-11.633l-66.258-220.52q-9.104-30.347-15.173-38.945l4.552-14.668-11.127-4.552-4.552 10.621q-15.68-11.127-33.382-11.127-26.3 0-47.037 18.714-7.08 5.564-15.174 15.68-7.586 10.115-17.196 24.277l9.61 6.575q21.243-30.852 48.049-30.853 22.76 0 37.933 21.749l-19.725 51.59q-9.61-.506-14.668-.506-5.058-.506-6.07-.506-38.438 0-38.438 44.003 0 13.656 6.069 29.335l11.127-5.058q-2.529-7.587-2.529-11.633 0-23.266 20.231-23.266 6.576 0 11.633 5.058l-53.612 146.17q-34.393 4.047-57.153 26.807zm183.29-135.117h-82.948l45.52-124.928Z');
-                        path.setAttribute('style', 'fill:#4b2e2e;stroke:#4b2e2e;stroke-width:1.25561;stroke-miterlimit:4;stroke-dasharray:none;stroke-opacity:1');
-                        
-                        svg.appendChild(path);
-                        noteIcon.appendChild(svg);
-                        box.appendChild(noteIcon);
-                        
-                        // Add the title
-                        const titleStr = item.title || '(No Title)';
-                        const titleSpan = document.createElement('span');
-                        titleSpan.className = 'note-title';
-                        titleSpan.textContent = titleStr;
-                        box.appendChild(titleSpan);
-                    } else {
-                        // For non-note items, just add the title
-                        const titleStr = item.title || '(No Title)';
-                        const titleSpan = document.createElement('span');
-                        titleSpan.textContent = titleStr;
-                        box.appendChild(titleSpan);
-                    }
-                    
-                    box.style.position = 'absolute';
-                    
-                    // Use cached uniform box width for performance
-                    const actualBoxWidth = getUniformBoxWidth();
-                    
-                    // Calculate final position with 10% width adjustment towards timeline line
-                    const widthAdjustment = actualBoxWidth * 0.1;
-                    
-                    if (isRightOfCenter) {
-                        // Box's left edge starts at fixed distance, then move back 10% towards line
-                        boxLeft = itemX + connectionMargin - widthAdjustment;
-                    } else {
-                        // Box's right edge ends at fixed distance, then move back 10% towards line
-                        boxLeft = itemX - connectionMargin - actualBoxWidth + widthAdjustment;
-                    }
-                    
-                    box.style.left = `${boxLeft}px`;
-                    box.style.top = `${boxTop}px`;
+                    img.className = 'note-image';
+                    img.src = `file://${picture.pictures[0].file_path}`;
+                    pictureDiv.appendChild(img);
+                } else {
+                    const imagesContainer = document.createElement('div');
+                    imagesContainer.className = 'note-images-container';
+                    imagesContainer.style.display = 'flex';
+                    imagesContainer.style.flexDirection = 'row';
+                    imagesContainer.style.gap = '10px';
+                    imagesContainer.style.alignItems = 'center';
+
+                    picture.pictures.forEach(pic => {
+                        const img = document.createElement('img');
+                        img.className = 'note-image';
+                        img.src = `file://${pic.file_path}`;
+                        imagesContainer.appendChild(img);
+                    });
+
+                    pictureDiv.appendChild(imagesContainer);
                 }
-                box.setAttribute('data-id', item.id || item['story-id'] || idx);
-                box.setAttribute('data-year', `${itemYear}.${itemSubtick.toString().padStart(2, '0')}`);
-                //box.setAttribute('data-line-id', lineId);
-                box.setAttribute('data-type', item.type); // Add type for debugging
-
-                // Add click handler
-                box.addEventListener('click', function(e) {
-                    e.stopPropagation();
-                    if (item.type === 'picture') {
-                        // Open add item window for picture type
-                        window.api.send('open-add-item-window', itemYear, itemSubtick, timelineState.granularity);
-                    } else {
-                        // Open item viewer for other types
-                        window.openItemViewer && window.openItemViewer(box.getAttribute('data-id'));
-                    }
+            }
+
+            picturesDiv.appendChild(pictureDiv);
+        });
+
+        mainContentRight.appendChild(picturesDiv);
+    }
+
+    // Add all visible notes
+    if (newNoteItems.length > 0) {
+        // Sort notes by importance (higher first), then start date, then alphabetical by title
+        newNoteItems.sort((a, b) => {
+            // First sort by importance (higher importance first)
+            const aImportance = a.importance || 5;
+            const bImportance = b.importance || 5;
+            if (aImportance !== bImportance) {
+                return bImportance - aImportance; // Higher importance first
+            }
+            
+            // Then sort by start date (earlier first)
+            const dateOrder = TimelineDate.fromItem(a).compare(TimelineDate.fromItem(b));
+            if (dateOrder !== 0) {
+                return dateOrder; // Earlier date first
+            }
+            
+            // Finally sort alphabetically by title
+            const aTitle = (a.title || '').toLowerCase();
+            const bTitle = (b.title || '').toLowerCase();
+            return aTitle.localeCompare(bTitle);
+        });
+
+        const notesDiv = document.createElement('div');
+        notesDiv.className = 'center-notes';
+
+        newNoteItems.forEach(note => {
+            const noteDiv = document.createElement('div');
+            noteDiv.className = 'center-note';
+            applyFilterFlag(noteDiv, note);
+
+            const contentDiv = document.createElement('div');
+            contentDiv.className = 'note-content';
+
+            const title = document.createElement('h2');
+            title.textContent = note.title || '(No Title)';
+            contentDiv.appendChild(title);
+
+            if (note.description) {
+                const description = document.createElement('p');
+                description.textContent = note.description;
+                contentDiv.appendChild(description);
+            }
+
+            if (note.tags && note.tags.length > 0) {
+                const tagsDiv = document.createElement('div');
+                tagsDiv.className = 'note-tags';
+                note.tags.forEach(tag => {
+                    const tagSpan = document.createElement('span');
+                    tagSpan.className = 'note-tag';
+                    tagSpan.textContent = tag;
+                    tagsDiv.appendChild(tagSpan);
                 });
+                contentDiv.appendChild(tagsDiv);
+            }
+
+            noteDiv.appendChild(contentDiv);
+
+            if (note.pictures && note.pictures.length > 0) {
+                const img = document.createElement('img');
+                img.className = 'note-image';
+                img.src = `file://${note.pictures[0].file_path}`;
+                noteDiv.appendChild(img);
+            }
+
+            notesDiv.appendChild(noteDiv);
+        });
+
+        mainContentRight.appendChild(notesDiv);
+    }
+}
+
+/**
+ * Calculates which items are visible in the current viewport
+ * @param {number} centerX - Center X position of the viewport
+ * @param {number} centerYear - Center year of the viewport
+ * @returns {Array} Array of items that are visible or near the viewport
+ */
+function getVisibleItems(centerX, centerYear) {
+    const { granularity, pixelsPerSubtick, offsetPx } = timelineState;
+    const containerRect = container.getBoundingClientRect();
+    
+    // Calculate the visible year range based on the container width and current offset
+    const visibleWidth = containerRect.width;
+    const yearsPerPixel = 1 / (granularity * pixelsPerSubtick);
+    
+    // Calculate the leftmost and rightmost visible years
+    const leftYear = centerYear - (centerX * yearsPerPixel);
+    const rightYear = centerYear + ((visibleWidth - centerX) * yearsPerPixel);
+    
+    // Add a buffer zone (25% of the visible range on each side)
+    const bufferSize = (rightYear - leftYear) * 0.25;
+    const bufferedLeftYear = leftYear - bufferSize;
+    const bufferedRightYear = rightYear + bufferSize;
+    
+    // Items that start before the right edge of the buffered range and end after its left edge
+    return itemIndex.query(bufferedLeftYear, bufferedRightYear).filter(isItemShown);
+}
+
+// Add this function near the top of the file
+function sendTimelineUpdate() {
+    window.api.send('timeline-updated', {
+        focusYear: timelineState.focusYear,
+        granularity: timelineState.granularity,
+        offsetPx: timelineState.offsetPx,
+        pixelsPerSubtick: timelineState.pixelsPerSubtick
+    });
+}
+
+// ===== Item Element Reconciliation =====
+// Calligraphic letter drawn in note boxes
+const NOTE_ICON_PATH = 'M25.457 355.248c11.465-9.44 30.713-7.155 47.235-7.155q32.876 0 59.176 24.783l49.567-49.566-8.093-9.104-18.208 17.702q-29.841-17.702-63.728-17.702l19.725-55.636h109.755l20.737 69.798q9.61 33.887 29.84 44.508l50.073-49.566-8.092-9.104-18.209 18.208q-10.115-4.047-14.667-12.139-1.012-2.023-3.035-6.575-1.517-4.552-3.54-11.633l-66.258-220.52q-9.104-30.347-15.173-38.945l4.552-14.668-11.127-4.552-4.552 10.621q-15.68-11.127-33.382-11.127-26.3 0-47.037 18.714-7.08 5.564-15.174 15.68-7.586 10.115-17.196 24.277l9.61 6.575q21.243-30.852 48.049-30.853 22.76 0 37.933 21.749l-19.725 51.59q-9.61-.506-14.668-.506-5.058-.506-6.07-.506-38.438 0-38.438 44.003 0 13.656 6.069 29.335l11.127-5.058q-2.529-7.587-2.529-11.633 0-23.266 20.231-23.266 6.576 0 11.633 5.058l-53.612 146.17q-34.393 4.047-57.153 26.807zm183.29-135.117h-82.948l45.52-124.928Z';
+
+/**
+ * Rendered item elements keyed by "<kind>:<item id>", so a render only creates,
+ * moves or removes the nodes that changed instead of rebuilding everything.
+ * @type {Map<string, HTMLElement>}
+ */
+const renderedItemElements = new Map();
+let reconciledKeys = new Set();
+
+/**
+ * Starts a reconcile pass; elements not claimed before endItemReconcile are removed
+ */
+function beginItemReconcile() {
+    reconciledKeys = new Set();
+}
+
+/**
+ * Returns the element for a key, creating it when it isn't rendered yet
+ * @param {string} key - Element key
+ * @param {HTMLElement} parent - Element the node should live in
+ * @param {Function} create - Factory for a new element
+ * @returns {HTMLElement} The (possibly reused) element
+ */
+function reconcileItemElement(key, parent, create) {
+    let element = renderedItemElements.get(key);
+    if (!element) {
+        element = create();
+        renderedItemElements.set(key, element);
+    }
+    if (element.parentNode !== parent) {
+        parent.appendChild(element);
+    }
+    reconciledKeys.add(key);
+    return element;
+}
+
+/**
+ * Removes every element that wasn't claimed during the current reconcile pass
+ */
+function endItemReconcile() {
+    renderedItemElements.forEach((element, key) => {
+        if (!reconciledKeys.has(key)) {
+            element.remove();
+            renderedItemElements.delete(key);
+        }
+    });
+}
+
+/**
+ * Drops all rendered item elements so they are rebuilt from fresh item data
+ */
+function resetRenderedItemElements() {
+    renderedItemElements.forEach(element => element.remove());
+    renderedItemElements.clear();
+}
+
+/**
+ * Finds a timeline item by id
+ * @param {string|number} id - Item id (as stored in data-id)
+ * @returns {Object|undefined} The item, if it exists
+ */
+function getItemById(id) {
+    return timelineState.items.find(item => item && String(item.id) === String(id));
+}
+
+/**
+ * Formats an item's start as "year.subtick" for hover bubbles and data attributes
+ * @param {Object} item - Timeline item
+ * @returns {string} Formatted date
+ */
+function formatItemDate(item) {
+    return TimelineDate.fromItem(item).format('.', 2);
+}
+
+/**
+ * Creates the bar element for an Age or Period
+ * @param {Object} item - Age or Period item
+ * @param {string} className - 'timeline-age-item' or 'timeline-period-item'
+ * @returns {HTMLElement} New bar element
+ */
+function createRangeElement(item, className) {
+    const element = document.createElement('div');
+    element.className = className;
+    if (className === 'timeline-age-item') {
+        element.style.top = "calc(50% + 1px)"; // Center vertically on the timeline
+    }
+    element.setAttribute('data-id', item.id);
+    element.setAttribute('data-year', item.year);
+    element.setAttribute('data-end-year', item.end_year);
+    element.tabIndex = -1; // Reached with Tab through the keyboard navigation
+    element.setAttribute('role', 'button');
+    element.setAttribute('aria-label', getItemAccessibleName(item));
+    addRangeHandles(element);
+
+    // Set the background color from the database
+    if (item.color) {
+        element.style.backgroundColor = item.color;
+    }
+    return element;
+}
+
+/**
+ * Creates a bookmark line or dot element
+ * @param {Object} item - Bookmark item
+ * @param {string|number} key - Id written to data-id
+ * @param {string} className - 'timeline-bookmark-line' or 'timeline-bookmark-dot'
+ * @returns {HTMLElement} New bookmark element
+ */
+function createBookmarkElement(item, key, className) {
+    const element = document.createElement('div');
+    element.className = className;
+    element.setAttribute('data-id', key);
+    element.setAttribute('data-year', formatItemDate(item));
+    element.setAttribute('data-type', item.type);
+    if (className === 'timeline-bookmark-dot') {
+        element.tabIndex = -1; // Reached with Tab through the keyboard navigation
+        element.setAttribute('role', 'button');
+        element.setAttribute('aria-label', getItemAccessibleName(item));
+    } else {
+        // The line repeats the dot
+        element.setAttribute('aria-hidden', 'true');
+    }
+    return element;
+}
+
+/**
+ * Creates the box element for a point item (event, note, picture, ...)
+ * @param {Object} item - Timeline item
+ * @param {string|number} key - Id written to data-id
+ * @returns {HTMLElement} New box element
+ */
+function createItemBoxElement(item, key) {
+    const box = document.createElement('div');
+    box.style.position = 'absolute';
+
+    if (isPictureBoxItem(item)) {
+        box.className = 'timeline-picture-box';
+        const img = document.createElement('img');
+        img.src = 'file://' + item.pictures[0].file_path.replace(/\\/g, '/');
+        img.alt = item.title || 'Timeline Image';
+        box.appendChild(img);
+    } else {
+        box.className = 'timeline-item-box';
+
+        let color = item.color;
+        if(color && color != 'transparent' && color.toLowerCase() != 'transparent' && color.toLowerCase() != 'none' && color.toLowerCase() != '#000000' && color.toLowerCase() != '#ffffff'){
+            let boxColor = document.createElement('div');
+            boxColor.className = 'timeline-item-box-color';
+            boxColor.style.width = `5px`;
+            boxColor.style.height = `100%`;
+            boxColor.style.backgroundColor = color;
+            boxColor.style.position = 'absolute';
+            boxColor.style.left = `0px`;
+            boxColor.style.top = `0px`;
+            box.appendChild(boxColor);
+        }
+
+        if (item.type && item.type.toLowerCase() === 'note') {
+            // Add the calligraphic letter SVG
+            const noteIcon = document.createElement('div');
+            noteIcon.className = 'note-icon';
+            const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+            svg.setAttribute('viewBox', '0 0 260.481 370');
+            svg.setAttribute('width', '20');
+            svg.setAttribute('height', '20');
+            svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', NOTE_ICON_PATH);
+            path.setAttribute('style', 'fill:#4b2e2e;stroke:#4b2e2e;stroke-width:1.25561;stroke-miterlimit:4;stroke-dasharray:none;stroke-opacity:1');
+
+            svg.appendChild(path);
+            noteIcon.appendChild(svg);
+            box.appendChild(noteIcon);
+
+            // Add the title
+            const titleSpan = document.createElement('span');
+            titleSpan.className = 'note-title';
+            titleSpan.textContent = item.title || '(No Title)';
+            box.appendChild(titleSpan);
+        } else {
+            // For non-note items, just add the title
+            const titleSpan = document.createElement('span');
+            titleSpan.textContent = item.title || '(No Title)';
+            box.appendChild(titleSpan);
+        }
+    }
+
+    box.setAttribute('data-id', key);
+    box.setAttribute('data-year', formatItemDate(item));
+    box.setAttribute('data-type', item.type); // Add type for debugging
+    box.tabIndex = -1; // Reached with Tab through the keyboard navigation
+    box.setAttribute('role', 'button');
+    box.setAttribute('aria-label', getItemAccessibleName(item));
+    return box;
+}
+
+// ===== Delegated Item Listeners =====
+// Item elements are reused between renders, so their listeners live on the container
+// instead of on each element.
+const ITEM_BOX_SELECTOR = '.timeline-item-box, .timeline-picture-box';
+const RANGE_ITEM_SELECTOR = '.timeline-age-item, .timeline-period-item';
+const BOOKMARK_SELECTOR = '.timeline-bookmark-line, .timeline-bookmark-dot';
+
+/**
+ * Returns the element matching selector that the pointer just entered or left,
+ * or null when the move stayed inside the same element
+ * @param {MouseEvent} e - mouseover or mouseout event
+ * @param {string} selector - Element selector
+ * @returns {HTMLElement|null} Element crossed by the pointer
+ */
+function getCrossedElement(e, selector) {
+    const element = e.target.closest(selector);
+    if (!element || !container.contains(element)) return null;
+    if (e.relatedTarget && element.contains(e.relatedTarget)) return null;
+    return element;
+}
+
+container.addEventListener('click', (e) => {
+    const clusterBadge = e.target.closest(CLUSTER_BADGE_SELECTOR);
+    if (clusterBadge) {
+        e.stopPropagation();
+        openCluster(clusterBadge);
+        return;
+    }
+
+    const bookmark = e.target.closest(BOOKMARK_SELECTOR);
+    if (bookmark) {
+        e.stopPropagation();
+        window.openItemViewer && window.openItemViewer(bookmark.getAttribute('data-id'));
+        return;
+    }
+
+    const box = e.target.closest(ITEM_BOX_SELECTOR);
+    if (box) {
+        e.stopPropagation();
+        const item = getItemById(box.getAttribute('data-id'));
+        if (item && item.type === 'picture') {
+            // Open add item window for picture type
+            window.api.send('open-add-item-window', parseFloat(item.year || item.date || 0), getItemSubtick(item), timelineState.granularity);
+        } else {
+            // Open item viewer for other types
+            window.openItemViewer && window.openItemViewer(box.getAttribute('data-id'));
+        }
+        return;
+    }
+
+    const rangeItem = e.target.closest(RANGE_ITEM_SELECTOR);
+    if (rangeItem && window.openItemViewer) {
+        window.openItemViewer(rangeItem.getAttribute('data-id'));
+    }
+});
+
+container.addEventListener('mouseover', (e) => {
+    const box = getCrossedElement(e, ITEM_BOX_SELECTOR);
+    if (box) {
+        showItemHighlight(box);
+        return;
+    }
+
+    const bookmark = getCrossedElement(e, BOOKMARK_SELECTOR);
+    if (bookmark) {
+        let hoverBubble = document.querySelector('.timeline-hover-bubble');
+        if (!hoverBubble) {
+            hoverBubble = document.createElement('div');
+            hoverBubble.className = 'timeline-hover-bubble';
+            document.body.appendChild(hoverBubble);
+        }
+
+        const item = getItemById(bookmark.getAttribute('data-id'));
+        const title = (item && item.title) || '(No Title)';
+        hoverBubble.textContent = `${title} (${bookmark.getAttribute('data-year')})`;
+
+        // Calculate position relative to the viewport
+        const rect = bookmark.getBoundingClientRect();
+        hoverBubble.style.left = `${rect.left + rect.width/2}px`;
+        hoverBubble.style.top = `${rect.top - 25}px`;
+        hoverBubble.classList.add('visible');
+        return;
+    }
+
+    if (getCrossedElement(e, RANGE_ITEM_SELECTOR) && globalHoverBubble) {
+        globalHoverBubble.style.opacity = '1';
+    }
+});
+
+container.addEventListener('mouseout', (e) => {
+    const box = getCrossedElement(e, ITEM_BOX_SELECTOR);
+    if (box) {
+        hideItemHighlight(box);
+        return;
+    }
+
+    if (getCrossedElement(e, BOOKMARK_SELECTOR)) {
+        const hoverBubble = document.querySelector('.timeline-hover-bubble');
+        if (hoverBubble) {
+            hoverBubble.classList.remove('visible');
+        }
+        return;
+    }
+
+    if (getCrossedElement(e, RANGE_ITEM_SELECTOR) && globalHoverBubble) {
+        globalHoverBubble.style.opacity = '0';
+    }
+});
+
+container.addEventListener('mousemove', (e) => {
+    const rangeItem = e.target.closest(RANGE_ITEM_SELECTOR);
+    if (!rangeItem || !globalHoverBubble) return;
+
+    const item = getItemById(rangeItem.getAttribute('data-id'));
+    if (!item) return;
+
+    globalHoverBubble.textContent = `${item.title} (${formatItemDate(item)})`;
+
+    // Position the bubble
+    const bubbleWidth = globalHoverBubble.offsetWidth;
+    const screenWidth = window.innerWidth;
+    let left = e.clientX;
+
+    // Keep bubble within screen bounds
+    if (left + bubbleWidth/2 > screenWidth) {
+        left = screenWidth - bubbleWidth/2;
+    } else if (left - bubbleWidth/2 < 0) {
+        left = bubbleWidth/2;
+    }
+
+    const bubbleOffset = rangeItem.classList.contains('timeline-age-item') ? 40 : 25;
+    globalHoverBubble.style.left = `${left}px`;
+    globalHoverBubble.style.top = `${e.clientY - bubbleOffset}px`;
+    globalHoverBubble.style.opacity = '1';
+});
+
+// ===== Keyboard Navigation =====
+// Item elements take focus only through the Tab handling below (tabIndex -1), so Tab walks
+// them in date order instead of DOM order and leaves the timeline after the last one.
+const FOCUSABLE_ITEM_SELECTOR = '.timeline-item-box, .timeline-picture-box, .timeline-bookmark-dot, .timeline-age-item, .timeline-period-item, .timeline-cluster-badge';
+
+/**
+ * Shows the hover highlight and bubble for an item box
+ * @param {HTMLElement} box - Item or picture box
+ */
+function showItemHighlight(box) {
+    box.classList.add('highlighted');
+
+    if (globalHoverBubble) {
+        const item = getItemById(box.getAttribute('data-id'));
+        const title = (item && item.title) || '(No Title)';
+        globalHoverBubble.textContent = `${title} (${box.getAttribute('data-year')})`;
+
+        // Position the bubble
+        const boxRect = box.getBoundingClientRect();
+        globalHoverBubble.style.left = `${boxRect.left + boxRect.width/2}px`;
+        globalHoverBubble.style.top = `${boxRect.top - 25}px`;
+        globalHoverBubble.style.opacity = '1';
+    }
+    // Update canvas to show highlight
+    canvas.update();
+}
+
+/**
+ * Removes the hover highlight and bubble of an item box
+ * @param {HTMLElement} box - Item or picture box
+ */
+function hideItemHighlight(box) {
+    box.classList.remove('highlighted');
+    if (globalHoverBubble) {
+        globalHoverBubble.style.opacity = '0';
+    }
+    canvas.update();
+}
+
+/**
+ * Reads the date an item element sorts by for focus traversal
+ * @param {HTMLElement} element - Focusable item element
+ * @returns {number} Fractional start year
+ */
+function getElementSortYear(element) {
+    if (element.matches(CLUSTER_BADGE_SELECTOR)) {
+        return parseFloat(element.dataset.start);
+    }
+    const item = getItemById(element.getAttribute('data-id'));
+    return item ? TimelineDate.fromItem(item).toFractionalYear() : Infinity;
+}
+
+/**
+ * Lists the on-screen item elements in chronological order
+ * @returns {Array<HTMLElement>} Focusable item elements
+ */
+function getFocusableItemElements() {
+    const containerRect = container.getBoundingClientRect();
+    return Array.from(container.querySelectorAll(FOCUSABLE_ITEM_SELECTOR))
+        .filter(element => {
+            const rect = element.getBoundingClientRect();
+            return rect.right > containerRect.left && rect.left < containerRect.right;
+        })
+        .map(element => ({ element, year: getElementSortYear(element), left: element.getBoundingClientRect().left }))
+        .sort((a, b) => (a.year - b.year) || (a.left - b.left))
+        .map(entry => entry.element);
+}
+
+/**
+ * Moves focus to the next or previous item element
+ * @param {number} direction - 1 for next, -1 for previous
+ * @returns {boolean} False when there is no item in that direction (focus should leave the timeline)
+ */
+function moveItemFocus(direction) {
+    const elements = getFocusableItemElements();
+    if (elements.length === 0) return false;
+
+    const current = elements.indexOf(document.activeElement);
+    let next;
+    if (current === -1) {
+        // Tab from the container enters at the first item; Shift+Tab leaves the timeline
+        if (document.activeElement !== container || direction < 0) return false;
+        next = 0;
+    } else {
+        next = current + direction;
+    }
+    if (next < 0 || next >= elements.length) return false;
+
+    elements[next].focus({ preventScroll: true });
+    return true;
+}
+
+/**
+ * Shows the context menu for an item
+ * @param {HTMLElement} element - Item element
+ * @param {number} x - Client x position for the menu
+ * @param {number} y - Client y position for the menu
+ */
+function showItemContextMenu(element, x, y) {
+    const item = getItemById(element.getAttribute('data-id'));
+    if (!item) return;
+
+    clearContextMenuItems();
+    addContextMenuItem({
+        type: 'open_item',
+        icon: 'ri-eye-line',
+        label: 'Open',
+        action: () => window.openItemViewer && window.openItemViewer(item.id)
+    });
+    if (item.type === 'Age' || item.type === 'Period') {
+        addContextMenuItem({
+            type: 'edit_item',
+            icon: 'ri-edit-line',
+            label: 'Edit',
+            action: () => openEditAgeOrPeriod(item)
+        });
+    }
+    addContextMenuItem({
+        type: 'center_item',
+        icon: 'ri-focus-3-line',
+        label: 'Center on item',
+        action: () => {
+            const date = TimelineDate.fromItem(item);
+            jumpToDate(date.year, date.subtick);
+        }
+    });
+    showContextMenu(x, y, item.year, getItemSubtick(item));
+}
+
+/**
+ * Pans the view by a number of years and subticks
+ * @param {number} years - Years to pan (negative for earlier)
+ * @param {number} subticks - Subticks to pan (negative for earlier)
+ */
+function panByDate(years, subticks = 0) {
+    stopInertia();
+    timelineState.offsetPx -= (years * timelineState.granularity + subticks) * timelineState.pixelsPerSubtick;
+    checkAndCorrectStartBoundary();
+    checkAndCorrectEndBoundary();
+    renderTimeline();
+}
+
+/**
+ * Jumps to the start or end marker, or to the first/last item when there is no marker
+ * @param {string} edge - 'start' or 'end'
+ */
+function jumpToEdge(edge) {
+    const marker = timelineMarkers[edge];
+    if (marker) {
+        jumpToDate(marker.year, marker.subtick);
+        return;
+    }
+    const entries = itemIndex.entries;
+    if (entries.length === 0) return;
+    const value = edge === 'start'
+        ? entries[0].start
+        : entries.reduce((max, entry) => Math.max(max, entry.end), -Infinity);
+    jumpToYear(value);
+}
+
+if (!container.hasAttribute('tabindex')) {
+    container.tabIndex = 0;
+}
+
+container.addEventListener('keydown', (e) => {
+    const focusedItem = e.target.closest(FOCUSABLE_ITEM_SELECTOR);
+    const containerRect = container.getBoundingClientRect();
+    const screenYears = containerRect.width / (timelineState.pixelsPerSubtick * timelineState.granularity);
+
+    switch (e.key) {
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+            const direction = e.key === 'ArrowLeft' ? -1 : 1;
+            // Plain: one subtick, Shift: one year, Ctrl: ten years, Ctrl+Shift: a hundred years
+            if (e.ctrlKey || e.metaKey) {
+                panByDate(direction * (e.shiftKey ? 100 : 10));
+            } else if (e.shiftKey) {
+                panByDate(direction);
+            } else {
+                panByDate(0, direction);
+            }
+            break;
+        }
+        case 'PageUp':
+        case 'PageDown': {
+            const direction = e.key === 'PageUp' ? -1 : 1;
+            jumpToYear(calculateYearFromPosition(containerRect.left + containerRect.width / 2) + direction * screenYears);
+            break;
+        }
+        case 'Home':
+            jumpToEdge('start');
+            break;
+        case 'End':
+            jumpToEdge('end');
+            break;
+        case 'Tab':
+            // Let focus leave the timeline after the first/last item
+            if (!moveItemFocus(e.shiftKey ? -1 : 1)) return;
+            break;
+        case 'Enter':
+            if (!focusedItem) return;
+            // Same as clicking: opens the viewer, or a cluster
+            focusedItem.click();
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+});
+
+// Keyboard focus shows the same highlight as hovering
+container.addEventListener('focusin', (e) => {
+    const box = e.target.closest(ITEM_BOX_SELECTOR);
+    if (box) showItemHighlight(box);
+});
+
+container.addEventListener('focusout', (e) => {
+    const box = e.target.closest(ITEM_BOX_SELECTOR);
+    if (box) hideItemHighlight(box);
+});
+
+/**
+ * Keeps focus in the timeline when the focused item element was removed by a render
+ * @param {HTMLElement|null} focusedElement - Element that had focus before the render
+ */
+function restoreItemFocus(focusedElement) {
+    if (focusedElement && !focusedElement.isConnected) {
+        container.focus({ preventScroll: true });
+    }
+}
+
+// ===== Screen Reader Support =====
+// The canvas only draws ticks, so it is hidden from assistive technology; the center date
+// is announced through a live region instead, and the visible items are mirrored as a list.
+const ANNOUNCE_DELAY_MS = 500; // Wait for the view to settle before announcing
+
+let accessibilityTimeout = null;
+let lastAnnouncement = '';
+let lastItemListKey = '';
+
+/**
+ * Hides an element visually while keeping it readable by screen readers
+ * @param {HTMLElement} element - Element to hide
+ */
+function applyScreenReaderOnlyStyle(element) {
+    Object.assign(element.style, {
+        position: 'absolute',
+        width: '1px',
+        height: '1px',
+        padding: '0',
+        margin: '-1px',
+        overflow: 'hidden',
+        clip: 'rect(0, 0, 0, 0)',
+        whiteSpace: 'nowrap',
+        border: '0'
+    });
+}
+
+/**
+ * Builds the accessible name of an item element
+ * @param {Object} item - Timeline item
+ * @returns {string} Name such as "Event: Coronation, 1204.03" or "Age: Third Age, 3000.00 to 3019.00"
+ */
+function getItemAccessibleName(item) {
+    const type = (item.type || 'Item').replace(/_/g, ' ');
+    const title = item.title || '(No Title)';
+    if (item.type === 'Age' || item.type === 'Period') {
+        return `${type}: ${title}, ${formatItemDate(item)} to ${TimelineDate.fromItem(item, true).format('.', 2)}`;
+    }
+    return `${type}: ${title}, ${formatItemDate(item)}`;
+}
+
+/**
+ * Creates the live region and the visible item list, and labels the timeline surface
+ */
+function initializeAccessibility() {
+    container.setAttribute('role', 'region');
+    container.setAttribute('aria-label', 'Timeline');
+    if (timelineCanvas) {
+        timelineCanvas.setAttribute('aria-hidden', 'true');
+    }
+
+    const instructions = document.createElement('div');
+    instructions.id = 'timeline-keyboard-help';
+    instructions.textContent = 'Arrow keys pan by a subtick, with Shift by a year. Page Up and Page Down pan by a screen, Home and End go to the start and end. Tab moves between items, Enter opens an item. Control Z undoes an edit, Control Y redoes it.';
+    applyScreenReaderOnlyStyle(instructions);
+    container.appendChild(instructions);
+    container.setAttribute('aria-describedby', instructions.id);
+
+    const liveRegion = document.createElement('div');
+    liveRegion.id = 'timeline-live-region';
+    liveRegion.setAttribute('role', 'status');
+    liveRegion.setAttribute('aria-live', 'polite');
+    applyScreenReaderOnlyStyle(liveRegion);
+    container.appendChild(liveRegion);
+
+    const itemList = document.createElement('ul');
+    itemList.id = 'timeline-visible-items';
+    itemList.setAttribute('aria-label', 'Visible timeline items');
+    applyScreenReaderOnlyStyle(itemList);
+    container.appendChild(itemList);
+}
+
+/**
+ * Schedules the live region and item list update for when the view stops moving
+ * @param {number} centerYear - Fractional year at the center of the view
+ * @param {Array<Object>} ages - Ages containing the center
+ * @param {Array<Object>} periods - Periods containing the center
+ * @param {Array<Object>} visibleItems - Items rendered this frame
+ */
+function scheduleAccessibilityUpdate(centerYear, ages, periods, visibleItems) {
+    if (accessibilityTimeout) {
+        clearTimeout(accessibilityTimeout);
+    }
+    accessibilityTimeout = setTimeout(() => {
+        accessibilityTimeout = null;
+        announceCenter(centerYear, ages, periods);
+        updateVisibleItemList(visibleItems);
+    }, ANNOUNCE_DELAY_MS);
+}
+
+/**
+ * Announces the center date and the enclosing Age and Period, if they changed
+ * @param {number} centerYear - Fractional year at the center of the view
+ * @param {Array<Object>} ages - Ages containing the center
+ * @param {Array<Object>} periods - Periods containing the center
+ */
+function announceCenter(centerYear, ages, periods) {
+    const liveRegion = document.getElementById('timeline-live-region');
+    if (!liveRegion) return;
+
+    const parts = [`Center ${TimelineDate.fromFractionalYear(centerYear).format('.', 2)}`];
+    if (ages.length > 0) parts.push(`Age: ${ages.map(age => age.title || '(No Title)').join(', ')}`);
+    if (periods.length > 0) parts.push(`Period: ${periods.map(period => period.title || '(No Title)').join(', ')}`);
+    const announcement = parts.join('. ');
+
+    if (announcement === lastAnnouncement) return;
+    lastAnnouncement = announcement;
+    liveRegion.textContent = announcement;
+}
+
+/**
+ * Mirrors the items in view into the screen reader list, in date order
+ * @param {Array<Object>} visibleItems - Items rendered this frame
+ */
+function updateVisibleItemList(visibleItems) {
+    const itemList = document.getElementById('timeline-visible-items');
+    if (!itemList) return;
+
+    const containerRect = container.getBoundingClientRect();
+    const leftYear = calculateYearFromPosition(containerRect.left);
+    const rightYear = calculateYearFromPosition(containerRect.right);
+    const granularity = timelineState.granularity;
+    const items = visibleItems
+        .filter(item => item && item.type !== 'Timeline_start' && item.type !== 'Timeline_end')
+        .filter(item => {
+            // Drop the render buffer: only what is actually on screen
+            const { start, end } = getItemRange(item, granularity);
+            return start <= rightYear && end >= leftYear;
+        })
+        .sort((a, b) => TimelineDate.fromItem(a).compare(TimelineDate.fromItem(b)));
+
+    const key = items.map(item => item.id).join(',');
+    if (key === lastItemListKey) return;
+    lastItemListKey = key;
+
+    itemList.innerHTML = '';
+    items.forEach(item => {
+        const entry = document.createElement('li');
+        entry.textContent = getItemAccessibleName(item);
+        itemList.appendChild(entry);
+    });
+}
+
+initializeAccessibility();
+
+// ===== Overview Minimap =====
+/**
+ * Thin strip under the timeline showing the whole extent of the timeline: Age/Period
+ * bands, an item density histogram and a rectangle marking the current viewport.
+ * Clicking the strip or dragging the rectangle moves the timeline via jumpToDate.
+ */
+class TimelineMinimap {
+    constructor(timelineContainer) {
+        this.height = 36;
+        this.extent = null;         // { start, end } in fractional years
+        this.isLayerDirty = true;   // Bands and histogram need redrawing
+        this.dragYearOffset = null; // Pointer year minus center year while dragging
+
+        this.element = document.getElementById('timeline-minimap');
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.id = 'timeline-minimap';
+            timelineContainer.parentElement.insertBefore(this.element, timelineContainer.nextSibling);
+        }
+        this.element.style.position = 'relative';
+        this.element.style.height = `${this.height}px`;
+        this.element.style.cursor = 'pointer';
+        this.element.style.userSelect = 'none';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'timeline-minimap-canvas';
+        this.canvas.style.position = 'absolute';
+        this.canvas.style.left = '0';
+        this.canvas.style.top = '0';
+        this.element.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.viewport = document.createElement('div');
+        this.viewport.className = 'timeline-minimap-viewport';
+        this.viewport.style.position = 'absolute';
+        this.viewport.style.top = '0';
+        this.viewport.style.height = '100%';
+        this.viewport.style.boxSizing = 'border-box';
+        this.viewport.style.border = '2px solid #4a90e2';
+        this.viewport.style.backgroundColor = '#4a90e222';
+        this.viewport.style.cursor = 'grab';
+        this.element.appendChild(this.viewport);
+
+        this.element.style.touchAction = 'none';
+        this.element.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        window.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        window.addEventListener('pointerup', () => this.onPointerUp());
+        window.addEventListener('pointercancel', () => this.onPointerUp());
+        window.addEventListener('resize', () => this.invalidate());
+    }
+
+    /**
+     * Marks the bands and histogram for redrawing (items, markers or size changed)
+     */
+    invalidate() {
+        this.isLayerDirty = true;
+    }
+
+    /**
+     * Calculates the year range the strip covers
+     * @returns {{start: number, end: number}|null} Extent, or null if there is nothing to show
+     */
+    computeExtent() {
+        const entries = itemIndex.entries.filter(entry => entry.item.type !== 'Timeline_start' && entry.item.type !== 'Timeline_end');
+
+        let start = timelineMarkers.start ? TimelineDate.fromMarker(timelineMarkers.start).toFractionalYear() : null;
+        let end = timelineMarkers.end ? TimelineDate.fromMarker(timelineMarkers.end).toFractionalYear() : null;
+
+        if (start === null && entries.length > 0) {
+            start = entries[0].start;
+        }
+        if (end === null && entries.length > 0) {
+            end = entries.reduce((max, entry) => Math.max(max, entry.end), -Infinity);
+        }
+        if (start === null || end === null) return null;
+
+        // Give single-point timelines some room
+        if (end - start < 1) {
+            start -= 0.5;
+            end += 0.5;
+        }
+        return { start, end };
+    }
+
+    yearToX(year) {
+        const { start, end } = this.extent;
+        return (year - start) / (end - start) * this.width;
+    }
+
+    xToYear(x) {
+        const { start, end } = this.extent;
+        return start + (x / this.width) * (end - start);
+    }
+
+    /**
+     * Redraws the Age/Period bands and the density histogram
+     */
+    drawLayer() {
+        const rect = this.element.getBoundingClientRect();
+        const pixelRatio = canvas.pixelRatio;
+        this.width = rect.width;
+        this.canvas.style.width = `${rect.width}px`;
+        this.canvas.style.height = `${this.height}px`;
+        this.canvas.width = Math.round(rect.width * pixelRatio);
+        this.canvas.height = Math.round(this.height * pixelRatio);
+
+        const ctx = this.ctx;
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        this.extent = this.computeExtent();
+        if (!this.extent || this.width <= 0) return;
+
+        const bucketCount = Math.max(1, Math.floor(this.width / 2));
+        const buckets = new Array(bucketCount).fill(0);
+
+        itemIndex.entries.forEach(({ item, start, end }) => {
+            const type = item.type ? item.type.toLowerCase() : '';
+            if (type === 'age' || type === 'period') {
+                const x1 = Math.max(0, this.yearToX(start));
+                const x2 = Math.min(this.width, this.yearToX(end));
+                if (x2 <= x1) return;
+                ctx.globalAlpha = type === 'age' ? 0.35 : 0.6;
+                ctx.fillStyle = item.color || (type === 'age' ? '#c8b99a' : '#9ab8c8');
+                // Ages fill the strip, periods sit in its lower half
+                if (type === 'age') {
+                    ctx.fillRect(x1, 0, x2 - x1, this.height);
+                } else {
+                    ctx.fillRect(x1, this.height / 2, x2 - x1, this.height / 4);
+                }
+            } else if (type !== 'timeline_start' && type !== 'timeline_end') {
+                const bucket = Math.floor(this.yearToX(start) / this.width * bucketCount);
+                if (bucket >= 0 && bucket < bucketCount) buckets[bucket]++;
+            }
+        });
+
+        const maxCount = Math.max(1, ...buckets);
+        const bucketWidth = this.width / bucketCount;
+        ctx.globalAlpha = 0.7;
+        ctx.fillStyle = '#4b2e2e';
+        buckets.forEach((count, i) => {
+            if (count === 0) return;
+            const barHeight = Math.max(1, (count / maxCount) * (this.height - 4));
+            ctx.fillRect(i * bucketWidth, this.height - barHeight, Math.max(1, bucketWidth - 0.5), barHeight);
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Updates the viewport rectangle, redrawing the bands and histogram first if needed
+     */
+    update() {
+        if (this.isLayerDirty) {
+            this.drawLayer();
+            this.isLayerDirty = false;
+        }
+        if (!this.extent) {
+            this.viewport.style.display = 'none';
+            return;
+        }
+
+        const containerRect = container.getBoundingClientRect();
+        const leftX = this.yearToX(calculateYearFromPosition(containerRect.left));
+        const rightX = this.yearToX(calculateYearFromPosition(containerRect.right));
+        const left = Math.min(this.width - 2, Math.max(0, leftX));
+        const right = Math.max(left + 2, Math.min(this.width, rightX));
+
+        this.viewport.style.display = 'block';
+        this.viewport.style.left = `${left}px`;
+        this.viewport.style.width = `${right - left}px`;
+    }
+
+    /**
+     * Centers the timeline on a fractional year
+     * @param {number} value - Year to center on
+     */
+    centerOn(value) {
+        value = Math.min(this.extent.end, Math.max(this.extent.start, value));
+        const { year, subtick } = TimelineDate.fromFractionalYear(value, timelineState.granularity);
+        // Follows the pointer, so no animation
+        jumpToDate(year, subtick, false);
+    }
+
+    onPointerDown(e) {
+        if (e.button !== 0 || !this.extent) return;
+        e.preventDefault();
+
+        const x = e.clientX - this.element.getBoundingClientRect().left;
+        const pointerYear = this.xToYear(x);
+        const centerYear = calculateYearFromPosition(container.getBoundingClientRect().left + container.getBoundingClientRect().width / 2);
+
+        if (e.target === this.viewport) {
+            // Keep the grab point under the pointer while dragging
+            this.dragYearOffset = pointerYear - centerYear;
+        } else {
+            // Jump so the clicked point becomes the center, then keep dragging from there
+            this.dragYearOffset = 0;
+            this.centerOn(pointerYear);
+        }
+        this.viewport.style.cursor = 'grabbing';
+    }
+
+    onPointerMove(e) {
+        if (this.dragYearOffset === null) return;
+        const x = e.clientX - this.element.getBoundingClientRect().left;
+        this.centerOn(this.xToYear(x) - this.dragYearOffset);
+    }
+
+    onPointerUp() {
+        if (this.dragYearOffset === null) return;
+        this.dragYearOffset = null;
+        this.viewport.style.cursor = 'grab';
+    }
+}
+
+const minimap = new TimelineMinimap(container);
+
+// ===== Point Item Clustering =====
+const CLUSTER_DISTANCE_PX = 24; // Point items closer than this to the previous one join its cluster
+const CLUSTER_MIN_SIZE = 3;     // Smaller groups are drawn as regular boxes
+const CLUSTER_BADGE_SELECTOR = '.timeline-cluster-badge';
+
+// Ids of items whose cluster the user expanded; cleared when the zoom level changes
+const expandedClusterItemIds = new Set();
+
+/**
+ * Whether an item is a point item that can be collapsed into a cluster
+ * @param {Object} item - Timeline item
+ * @returns {boolean} True for events, notes, pictures and other point items
+ */
+function isClusterableItem(item) {
+    if (!item || !item.type) return false;
+    const type = item.type.toLowerCase();
+    return type !== 'age' && type !== 'period' && type !== 'bookmark' && type !== 'timeline_start' && type !== 'timeline_end';
+}
+
+/**
+ * Groups visible point items that fall within a few pixels of each other
+ * @param {Array} items - Visible items
+ * @param {number} centerX - Center of the container in pixels
+ * @param {number} groupingPixelsPerSubtick - Zoom level the distances are judged at; the lane
+ *        layout passes its own so clusters and lanes agree on which items are collapsed
+ * @returns {{clusters: Array<Object>, clusteredIds: Set}} Clusters ({ items, x, start, end })
+ *          and the ids of every item that was collapsed into one
+ */
+function clusterPointItems(items, centerX, groupingPixelsPerSubtick = timelineState.pixelsPerSubtick) {
+    const clusters = [];
+    const clusteredIds = new Set();
+    if (!timelineState.clusterItems) return { clusters, clusteredIds };
+
+    const { focusYear, granularity, pixelsPerSubtick, offsetPx } = timelineState;
+    const points = items
+        .filter(item => isClusterableItem(item) && !expandedClusterItemIds.has(item.id))
+        .map(item => {
+            const value = TimelineDate.fromItem(item, false, granularity).toFractionalYear();
+            return { item, value, x: centerX + (value - focusYear) * pixelsPerSubtick * granularity + offsetPx };
+        })
+        .sort((a, b) => a.x - b.x);
+
+    let group = [];
+    const flush = () => {
+        if (group.length >= CLUSTER_MIN_SIZE) {
+            const xs = group.map(point => point.x);
+            clusters.push({
+                items: group.map(point => point.item),
+                x: (Math.min(...xs) + Math.max(...xs)) / 2,
+                start: group[0].value,
+                end: group[group.length - 1].value
+            });
+            group.forEach(point => clusteredIds.add(point.item.id));
+        }
+        group = [];
+    };
+
+    const groupingScale = groupingPixelsPerSubtick / pixelsPerSubtick;
+    points.forEach(point => {
+        if (group.length > 0 && (point.x - group[group.length - 1].x) * groupingScale > CLUSTER_DISTANCE_PX) {
+            flush();
+        }
+        group.push(point);
+    });
+    flush();
+
+    return { clusters, clusteredIds };
+}
+
+/**
+ * Lists the most common item types in a cluster
+ * @param {Array} items - Clustered items
+ * @returns {string} Up to two type names, most common first
+ */
+function getDominantTypes(items) {
+    const counts = {};
+    items.forEach(item => {
+        counts[item.type] = (counts[item.type] || 0) + 1;
+    });
+    return Object.keys(counts)
+        .sort((a, b) => counts[b] - counts[a])
+        .slice(0, 2)
+        .join(' / ');
+}
+
+/**
+ * Creates an empty cluster badge; its content is filled in on every render
+ * @returns {HTMLElement} New badge element
+ */
+function createClusterBadgeElement() {
+    const badge = document.createElement('div');
+    badge.className = 'timeline-cluster-badge';
+    badge.style.position = 'absolute';
+
+    const count = document.createElement('span');
+    count.className = 'timeline-cluster-count';
+    badge.appendChild(count);
+
+    const types = document.createElement('span');
+    types.className = 'timeline-cluster-types';
+    badge.appendChild(types);
+    badge.tabIndex = -1; // Reached with Tab through the keyboard navigation
+    badge.setAttribute('role', 'button');
+    return badge;
+}
+
+/**
+ * Expands a cluster or zooms into its span, whichever separates its items
+ * @param {HTMLElement} badge - Clicked cluster badge
+ */
+function openCluster(badge) {
+    const start = parseFloat(badge.dataset.start);
+    const end = parseFloat(badge.dataset.end);
+    const itemIds = JSON.parse(badge.dataset.itemIds);
+    const width = container.getBoundingClientRect().width;
+    const granularity = timelineState.granularity;
+
+    // Zoom so the span fills most of the view, if the items can be told apart at that zoom
+    const targetPixelsPerSubtick = end > start ? (width * 0.6) / ((end - start) * granularity) : Infinity;
+    if (targetPixelsPerSubtick <= timelineState.maxPixelsPerSubtick) {
+        zoomAt(targetPixelsPerSubtick);
+        const { year, subtick } = TimelineDate.fromFractionalYear((start + end) / 2, granularity);
+        jumpToDate(year, subtick);
+        return;
+    }
+
+    // Items share (almost) the same date; show them individually instead
+    itemIds.forEach(id => expandedClusterItemIds.add(id));
+    renderTimeline();
+}
+
+// ===== Lane Layout Engine =====
+const ITEM_BOX_HEIGHT = 30;       // Height of one lane's box
+const LANE_MARGIN_PX = 5;         // Vertical gap between lanes
+const LANE_EDGE_OFFSET_PX = 10;   // Distance of the outermost lane from the container edge
+const LANE_GAP_PX = 8;            // Horizontal gap kept between two boxes in the same lane
+const STEM_MARGIN_PX = 10;        // Distance between an item's stem and its box
+const LANE_LAYOUT_ZOOM_STEPS = 4; // Layouts per doubling of the zoom level
+const PERIOD_ROW_PX = 13;         // Vertical distance between stacked period bars
+
+/**
+ * Lane assignment for every item box at the current zoom level
+ * @type {Object} laneLayout
+ * @property {string|null} key - Zoom step and item version the layout was computed for
+ * @property {string|null} boxesKey - Item version and granularity the boxes were collected for
+ * @property {Array<Object>} boxes - Lane boxes ({ item, start, offset, width }), sorted by start year
+ * @property {Map<Object, number>} lanes - Lane per item; even lanes sit above the line, odd lanes below
+ * @property {number} laneCount - Number of lanes in use
+ */
+const laneLayout = {
+    key: null,
+    boxesKey: null,
+    boxes: [],
+    lanes: new Map(),
+    laneCount: 0
+};
+let laneLayoutVersion = 0;
+let boxMetrics = null;
+const boxWidthCache = new Map();
+
+/**
+ * Whether an item is drawn as a picture box rather than a titled item box
+ * @param {Object} item - Timeline item
+ * @returns {boolean} True for picture boxes
+ */
+function isPictureBoxItem(item) {
+    const type = item.type.toLowerCase();
+    return type === 'picture' || (item.pictures && item.pictures.length > 0 && type !== 'note' && type !== 'event');
+}
+
+/**
+ * Whether an item gets a titled box laid out in a lane
+ * @param {Object} item - Timeline item
+ * @returns {boolean} True for event/note/... boxes
+ */
+function usesLaneLayout(item) {
+    return isClusterableItem(item) && !isPictureBoxItem(item);
+}
+
+/**
+ * Discards the lane layout and measured widths; call when the items payload changes
+ */
+function invalidateLaneLayout() {
+    laneLayoutVersion++;
+    boxWidthCache.clear();
+    boxMetrics = null;
+}
+
+/**
+ * Measures how wide an item's box will be, from its title text and the box chrome
+ * @param {Object} item - Timeline item
+ * @returns {number} Box width in pixels
+ *
+ * A sample event box and note box are measured once to learn the padding, border and
+ * icon width around the title; titles are then measured with canvas text metrics so
+ * items can be laid out before (or without) their element being rendered.
+ */
+function measureItemBoxWidth(item) {
+    if (boxWidthCache.has(item)) return boxWidthCache.get(item);
+
+    if (!boxMetrics) {
+        const measureCtx = document.createElement('canvas').getContext('2d');
+        const measureChrome = (type) => {
+            const sample = createItemBoxElement({ type, title: 'Test' }, 'measure');
+            sample.style.visibility = 'hidden';
+            timeline.appendChild(sample);
+            measureCtx.font = getComputedStyle(sample.querySelector('span:last-child')).font;
+            const chrome = Math.max(0, sample.offsetWidth - measureCtx.measureText('Test').width);
+            timeline.removeChild(sample);
+            return chrome;
+        };
+        boxMetrics = {
+            ctx: measureCtx,
+            chrome: measureChrome('Event'),
+            noteChrome: measureChrome('Note')
+        };
+    }
+
+    const isNote = item.type.toLowerCase() === 'note';
+    const width = Math.ceil(boxMetrics.ctx.measureText(item.title || '(No Title)').width + (isNote ? boxMetrics.noteChrome : boxMetrics.chrome));
+    boxWidthCache.set(item, width);
+    return width;
+}
+
+/**
+ * Horizontal distance from an item's stem to the left edge of its box.
+ * Boxes always extend right of their stem, moved back 10% of their width towards it,
+ * so their footprint doesn't depend on where the view is panned.
+ * @param {Object} item - Timeline item
+ * @returns {number} Offset in pixels
+ */
+function getBoxOffsetFromStem(item) {
+    return STEM_MARGIN_PX - measureItemBoxWidth(item) * 0.1;
+}
+
+/**
+ * Reassigns the lanes on the next render without re-measuring any box, e.g. when the
+ * filter hides items
+ */
+function invalidateLaneAssignments() {
+    laneLayout.key = null;
+}
+
+/**
+ * Collects the boxes to lay out, in year units, sorted by start; only redone when the items
+ * or the granularity change
+ * @returns {Array<Object>} Boxes ({ item, start, offset, width })
+ */
+function getLaneBoxes() {
+    const key = `${timelineState.granularity}|${laneLayoutVersion}`;
+    if (laneLayout.boxesKey !== key) {
+        laneLayout.boxes = itemIndex.entries
+            .filter(entry => usesLaneLayout(entry.item))
+            .map(entry => ({
+                item: entry.item,
+                start: entry.start,
+                offset: getBoxOffsetFromStem(entry.item),
+                width: measureItemBoxWidth(entry.item)
+            }))
+            .sort((a, b) => a.start - b.start);
+        laneLayout.boxesKey = key;
+    }
+    return laneLayout.boxes;
+}
+
+/**
+ * Rounds the zoom level down to the layout's zoom step
+ * @returns {number} Pixels per subtick the lanes are computed for
+ *
+ * Boxes keep their pixel width while the gaps between their dates grow with the zoom, so a
+ * layout without overlaps at one zoom level has none at any higher one. Laying out at the
+ * step below the current zoom keeps the lanes stable while zooming inside a step.
+ */
+function getLaneLayoutZoom() {
+    const step = Math.floor(Math.log2(timelineState.pixelsPerSubtick) * LANE_LAYOUT_ZOOM_STEPS);
+    return Math.pow(2, step / LANE_LAYOUT_ZOOM_STEPS);
+}
+
+/**
+ * Assigns every item box to the lowest lane where it doesn't overlap its neighbours
+ * @param {number} pixelsPerSubtick - Zoom level to lay out at (see getLaneLayoutZoom)
+ *
+ * Boxes are laid out over all items (not just the visible ones), so lanes only change
+ * when the zoom step or the items change, never while panning. Items collapsed into a
+ * cluster badge at this zoom get no lane.
+ */
+function computeLaneLayout(pixelsPerSubtick) {
+    const pixelsPerYear = pixelsPerSubtick * timelineState.granularity;
+    const boxes = getLaneBoxes();
+    const { clusteredIds } = clusterPointItems(
+        itemIndex.entries.map(entry => entry.item).filter(isItemShown), 0, pixelsPerSubtick);
+
+    // Right edge of the last box placed in each lane
+    const laneEnds = [];
+    laneLayout.lanes = new Map();
+    boxes.forEach(box => {
+        if (clusteredIds.has(box.item.id) || !isItemShown(box.item)) return;
+        const left = box.start * pixelsPerYear + box.offset;
+        let lane = 0;
+        while (lane < laneEnds.length && laneEnds[lane] + LANE_GAP_PX > left) lane++;
+        laneEnds[lane] = left + box.width;
+        laneLayout.lanes.set(box.item, lane);
+    });
+    laneLayout.laneCount = laneEnds.length;
+    container.dataset.laneCount = laneLayout.laneCount;
+    updateLaneContainerHeight();
+}
+
+/**
+ * Grows the container so the lanes above and below the line never reach the period
+ * bars around it
+ */
+function updateLaneContainerHeight() {
+    const lanesPerSide = Math.ceil(laneLayout.laneCount / 2) + (timelineState.clusterItems ? 1 : 0);
+    const maxStackLevel = Object.values(periodStackLevels).reduce((max, level) => Math.max(max, level), 0);
+    const centerBand = 2 * (10 + (maxStackLevel + 1) * PERIOD_ROW_PX + LANE_MARGIN_PX);
+    const lanesHeight = 2 * (LANE_EDGE_OFFSET_PX + lanesPerSide * (ITEM_BOX_HEIGHT + LANE_MARGIN_PX));
+    container.style.minHeight = `${lanesHeight + centerBand}px`;
+}
+
+/**
+ * Returns the lane of an item box, recomputing the layout if the zoom step or items changed
+ * @param {Object} item - Timeline item
+ * @returns {number} Lane index
+ */
+function getItemLane(item) {
+    const zoom = getLaneLayoutZoom();
+    const key = `${zoom}|${timelineState.granularity}|${timelineState.clusterItems}|${laneLayoutVersion}|${expandedClusterItemIds.size}`;
+    if (laneLayout.key !== key) {
+        computeLaneLayout(zoom);
+        laneLayout.key = key;
+    }
+    return laneLayout.lanes.has(item) ? laneLayout.lanes.get(item) : 0;
+}
+
+/**
+ * Whether a lane sits above the timeline line
+ * @param {number} lane - Lane index
+ * @returns {boolean} True for lanes above the line
+ */
+function isAboveLane(lane) {
+    return lane % 2 === 0;
+}
+
+/**
+ * Calculates the top position of a box in a lane. Lanes fill outside-in from the
+ * container edges; when clustering is on, the outermost row above the line is kept
+ * free for cluster badges.
+ * @param {number} lane - Lane index
+ * @param {number} containerHeight - Container height in pixels
+ * @returns {number} Top position in pixels
+ */
+function getLaneTop(lane, containerHeight) {
+    const depth = Math.floor(lane / 2);
+    if (isAboveLane(lane)) {
+        const reserved = timelineState.clusterItems ? 1 : 0;
+        return LANE_EDGE_OFFSET_PX + (depth + reserved) * (ITEM_BOX_HEIGHT + LANE_MARGIN_PX);
+    }
+    return containerHeight - ITEM_BOX_HEIGHT - LANE_EDGE_OFFSET_PX - depth * (ITEM_BOX_HEIGHT + LANE_MARGIN_PX);
+}
+
+/**
+ * Gets the current lane layout summary
+ * @returns {{laneCount: number}} Lanes in use at the current zoom level
+ */
+function getLaneLayoutInfo() {
+    return { laneCount: laneLayout.laneCount };
+}
+
+window.getLaneLayoutInfo = getLaneLayoutInfo;
+
+// Frame timing variables with improved stability
+let lastFrameTime = 0;
+const targetFrameTime = 1000 / 60; // 60fps
+const minFrameTime = 1000 / 30;    // 30fps minimum
+let currentQuality = 1.0;          // Start at full quality
+let isScrolling = false;           // Track if we're currently scrolling
+let scrollTimeout = null;          // For debouncing scroll end
+
+/**
+ * Renders the timeline
+ * 
+ * How it works:
+ * 1. Calculates visible range
+ * 2. Renders ticks and labels
+ * 3. Renders timeline items
+ * 4. Handles item positioning
+ * 
+ * Possible errors:
+ * - Invalid timeline state
+ * - DOM manipulation failure
+ * - Item rendering failure
+ */
+function renderTimeline() {
+    const now = performance.now();
+    const timeSinceLastFrame = now - lastFrameTime;
+    
+    // Only apply quality adjustments when not scrolling
+    if (!isScrolling) {
+        // Skip if we're rendering too fast
+        if (timeSinceLastFrame < minFrameTime) {
+            requestAnimationFrame(renderTimeline);
+            return;
+        }
+        
+        // Calculate quality based on frame time, but with a minimum threshold
+        currentQuality = Math.max(0.5, Math.min(1, timeSinceLastFrame / targetFrameTime));
+    } else {
+        // During scrolling, maintain a stable quality level
+        currentQuality = 0.5;
+    }
+    
+    // Store current frame time
+    lastFrameTime = now;
+
+    // Update canvas
+    canvas.update();
+    minimap.update();
+
+    const { focusYear, granularity, pixelsPerSubtick, offsetPx } = timelineState;
+    const containerRect = container.getBoundingClientRect();
+    const centerX = containerRect.width / 2;
+
+    // Calculate the center year
+    const centerYear = calculateYearFromPosition(centerX + containerRect.left);
+    
+    // Get visible items
+    const visibleItems = getVisibleItems(centerX, centerYear);
+    
+    // Update the centered year/subyear info with full precision
+    const centerInfo = TimelineDate.fromFractionalYear(centerYear, granularity).format('.', 2);
+    
+    // Try both possible element IDs
+    const nowDiv = document.getElementById('timeline-info-now') || document.getElementById('now');
+    if (nowDiv) {
+        nowDiv.textContent = centerInfo;
+    } else {
+        console.warn('[Debug] Could not find center position display element');
+    }
+
+    // Send timeline update
+    sendTimelineUpdate();
+
+    // Find visible ages and periods
+    const { ages, periods } = findVisibleAgesAndPeriods(centerX, centerYear);
+
+    // Find the closest note to center
+    //const closestNote = findClosestNote(centerX);
+    
+    // Update the main content based on center position
+    updateMainContent(centerX, centerYear);
+    scheduleAccessibilityUpdate(centerYear, ages, periods, visibleItems);
+
+    const itemBoxes = [];
+    const timelineY = containerRect.height / 2;
+
+    // Track rendered items count
+    let renderedItemCount = 0;
+
+    // Find all items that overlap with the current center position
+    const overlappingItems = visibleItems.filter(item => {
+        const itemStartYear = parseFloat(item.year || item.date || 0);
+        const itemEndYear = parseFloat(item.end_year !== undefined && item.end_year !== null ? item.end_year : (item.year || 0));
+        return centerYear >= itemStartYear && centerYear <= itemEndYear;
+    });
+
+    // Sort items by priority: Age items first, then by item_index
+    overlappingItems.sort((a, b) => {
+        if (a.type === 'Age' && b.type !== 'Age') return -1;
+        if (a.type !== 'Age' && b.type === 'Age') return 1;
+        return (a.item_index || 0) - (b.item_index || 0);
+    });
+
+    // Get the image container
+    const imageContainer = document.getElementById('image-container');
+    if (!imageContainer) return;
+
+    // Clear existing images
+    imageContainer.innerHTML = '';
+
+    // Display images for visible ages
+    ages.forEach(age => {
+        if (age.pictures && age.pictures.length > 0) {
+            const picture = age.pictures[0];
+            if (picture.file_path) {
+                const img = document.createElement('img');
+                img.className = 'cascading-image age-image';
+                img.setAttribute('data-item-id', age.id);
+                applyFilterFlag(img, age);
+                const fileUrl = 'file://' + picture.file_path.replace(/\\/g, '/');
+                img.src = fileUrl;
+                img.alt = age.title || 'Age Image';
+                imageContainer.appendChild(img);
+                renderedItemCount++;
+            }
+        }
+    });
+
+    // Display images for visible periods
+    periods.forEach((period, index) => {
+        if (period.pictures && period.pictures.length > 0) {
+            const picture = period.pictures[0];
+            if (picture.file_path) {
+                const img = document.createElement('img');
+                img.className = 'cascading-image';
+                if (index === 0) {
+                    img.className += ' main';
+                } else if (index <= 2) {
+                    img.className += ' secondary';
+                    img.className += index % 2 === 0 ? ' even' : ' odd';
+                } else if (index <= 4) {
+                    img.className += ' tertiary';
+                    img.className += index % 2 === 0 ? ' even' : ' odd';
+                } else if (index <= 6) {
+                    img.className += ' quaternary';
+                    img.className += index % 2 === 0 ? ' even' : ' odd';
+                } else if (index <= 8) {
+                    img.className += ' quinary';
+                    img.className += index % 2 === 0 ? ' even' : ' odd';
+                }
+                img.setAttribute('data-item-id', period.id);
+                applyFilterFlag(img, period);
+                // Set z-index based on item_index
+                img.style.zIndex = period.item_index || 0;
+                const fileUrl = 'file://' + picture.file_path.replace(/\\/g, '/');
+                img.src = fileUrl;
+                img.alt = period.title || 'Period Image';
+                imageContainer.appendChild(img);
+                renderedItemCount++;
+            }
+        }
+    });
+
+    // Calculate the leftmost and rightmost visible years based on current offset and size
+    const leftYear = focusYear - ((centerX + offsetPx) / (granularity * pixelsPerSubtick));
+    const rightYear = focusYear + ((containerRect.width - centerX - offsetPx) / (granularity * pixelsPerSubtick));
+
+    // Add a buffer of subticks on both sides for edge safety
+    const bufferSubticks = granularity * (granularity < 60 ? 10 : 2);
+    const startSubtick = Math.floor(leftYear * granularity) - bufferSubticks;
+    const endSubtick = Math.ceil(rightYear * granularity) + bufferSubticks;
+
+    // Every rendered element stays stale until this frame claims it again
+    beginItemReconcile();
+
+    // Collapse dense point items into cluster badges, drawn in the row reserved above the lanes
+    const { clusters, clusteredIds } = clusterPointItems(visibleItems, centerX, getLaneLayoutZoom());
+    clusters.forEach(cluster => {
+        const badge = reconcileItemElement(`cluster:${cluster.items[0].id}`, timeline, createClusterBadgeElement);
+        badge.querySelector('.timeline-cluster-count').textContent = cluster.items.length;
+        badge.querySelector('.timeline-cluster-types').textContent = getDominantTypes(cluster.items);
+        badge.title = cluster.items.slice(0, 10).map(item => item.title || '(No Title)').join('\n');
+        badge.dataset.start = cluster.start;
+        badge.dataset.end = cluster.end;
+        badge.dataset.itemIds = JSON.stringify(cluster.items.map(item => item.id));
+        badge.setAttribute('aria-label', `${cluster.items.length} items (${getDominantTypes(cluster.items)}), ${TimelineDate.fromFractionalYear(cluster.start).format('.', 2)} to ${TimelineDate.fromFractionalYear(cluster.end).format('.', 2)}`);
+        badge.style.left = `${cluster.x}px`;
+        badge.style.top = `${LANE_EDGE_OFFSET_PX}px`;
+        badge.style.transform = 'translateX(-50%)';
+        renderedItemCount++;
+    });
+
+    // First pass: render all items to calculate positions
+    visibleItems.forEach((item, idx) => {
+        if (!item) return;
+        // Skip rendering the box for Timeline_start and Timeline_end
+        if (item.type === 'Timeline_start' || item.type === 'Timeline_end') return;
+        // Clustered items are represented by their badge
+        if (clusteredIds.has(item.id)) return;
+
+        if (item.type === 'Age') {
+            // Calculate start and end positions
+            const { start, end } = getItemRange(item, granularity);
+
+            // Calculate positions relative to the timeline's center
+            const startPosition = centerX + (start - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+            const endPosition = centerX + (end - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+
+            // Calculate the actual start and end positions relative to the container
+            const actualStartPosition = Math.max(0, startPosition);
+            const actualEndPosition = Math.min(containerRect.width, endPosition);
+
+            // Only render if there's a visible portion
+            if (actualEndPosition > actualStartPosition) {
+                const ageItem = reconcileItemElement(`age:${item.id}`, container, () => createRangeElement(item, 'timeline-age-item'));
+                ageItem.style.left = `${actualStartPosition}px`;
+                ageItem.style.width = `${actualEndPosition - actualStartPosition}px`;
+                updateRangeHandles(ageItem, startPosition >= 0, endPosition <= containerRect.width);
+                applyGranularityPreviewFlag(ageItem, item);
+                applySelectionFlag(ageItem, item);
+                applyFilterFlag(ageItem, item);
+                renderedItemCount++;
+            }
+        } else if (item.type === 'Period') {
+            const stackLevel = periodStackLevels[item.id] || 0;
+            const periodAltIndex = periodAltIndices[item.id] || 0;
+            const isAbove = (periodAltIndex % 2 === 0);
+            // Calculate start and end positions
+            const { start, end } = getItemRange(item, granularity);
+
+            // Calculate positions relative to the timeline's center
+            const startPosition = centerX + (start - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+            const endPosition = centerX + (end - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+
+            // Calculate the actual start and end positions relative to the container
+            const actualStartPosition = Math.max(0, startPosition);
+            const actualEndPosition = Math.min(containerRect.width, endPosition);
+
+            // Only render if there's a visible portion
+            if (actualEndPosition > actualStartPosition) {
+                const periodItem = reconcileItemElement(`period:${item.id}`, container, () => createRangeElement(item, 'timeline-period-item'));
+                periodItem.style.left = `${actualStartPosition}px`;
+                periodItem.style.width = `${actualEndPosition - actualStartPosition}px`;
+                updateRangeHandles(periodItem, startPosition >= 0, endPosition <= containerRect.width);
+                applyGranularityPreviewFlag(periodItem, item);
+                applySelectionFlag(periodItem, item);
+                applyFilterFlag(periodItem, item);
+
+                // Calculate vertical position
+                const baseOffset = 10;
+                const stackOffset = stackLevel * PERIOD_ROW_PX;
+                const totalOffset = baseOffset + stackOffset;
+                const yPos = containerRect.height / 2 + (isAbove ? ((totalOffset * -1) - 4) : totalOffset);
+                periodItem.style.top = `${yPos}px`;
+                periodItem.setAttribute('data-ystack', stackLevel);
+                renderedItemCount++;
+            }
+        } else {
+            // Regular item handling (existing code)
+            const itemX = centerX + (TimelineDate.fromItem(item, false, granularity).toFractionalYear() - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+            const itemKey = item.id || item['story-id'] || idx;
+
+            if (item.type.toLowerCase() === 'bookmark') {
+                const bookmarkLine = reconcileItemElement(`bookmark-line:${itemKey}`, timeline, () => createBookmarkElement(item, itemKey, 'timeline-bookmark-line'));
+                bookmarkLine.style.left = `${itemX}px`;
+                applyFilterFlag(bookmarkLine, item);
+
+                const bookmarkDot = reconcileItemElement(`bookmark-dot:${itemKey}`, timeline, () => createBookmarkElement(item, itemKey, 'timeline-bookmark-dot'));
+                bookmarkDot.style.left = `${itemX}px`;
+                bookmarkDot.style.top = `${timelineY}px`;
+                applyGranularityPreviewFlag(bookmarkDot, item);
+                applySelectionFlag(bookmarkDot, item);
+                applyFilterFlag(bookmarkDot, item);
+                renderedItemCount += 2; // Count both the line and dot
+            } else {
+                const itemIsPictureBox = isPictureBoxItem(item);
+                const lane = itemIsPictureBox ? null : getItemLane(item);
+                // Pictures keep the item_index alternation, boxes take the side of their lane
+                const isAbove = lane === null ? (item.item_index % 2 === 0) : isAboveLane(lane);
+
+                const box = reconcileItemElement(`box:${itemKey}`, timeline, () => createItemBoxElement(item, itemKey));
+                box.classList.toggle('above', isAbove);
+                box.classList.toggle('below', !isAbove);
+                applyGranularityPreviewFlag(box, item);
+                applySelectionFlag(box, item);
+                applyFilterFlag(box, item);
+
+                if (itemIsPictureBox) {
+                    box.style.left = `${itemX - 50}px`; // Center the box on the line
+                    box.style.top = isAbove ? `${timelineY - 170}px` : `${timelineY + 70}px`; // Position above/below the stem
+                } else {
+                    box.style.left = `${itemX + getBoxOffsetFromStem(item)}px`;
+                    box.style.top = `${getLaneTop(lane, containerRect.height)}px`;
+                }
+                itemBoxes.push(box);
+                renderedItemCount++;
+            }
+        }
+    });
+
+    // Drop elements for items that scrolled out of view or no longer exist
+    const focusedElement = container.contains(document.activeElement) ? document.activeElement : null;
+    endItemReconcile();
+    restoreItemFocus(focusedElement);
+
+    if(!container || !containerRect){
+        return;
+    }
+
+    // Step 2: After rendering, log all visible periods and their stack info
+    try {
+        const visiblePeriods = visibleItems.filter(item => item && item.type === 'Period').map(item => {
+            let stackLevel = periodStackLevels ? (periodStackLevels[item.id] || 0) : 0;
+            let periodAltIndex = periodAltIndices ? (periodAltIndices[item.id] || 0) : 0;
+            let isAbove = (periodAltIndex % 2 === 0);
+            let baseOffset = 10;
+            let stackOffset = stackLevel * PERIOD_ROW_PX;
+            let totalOffset = baseOffset + stackOffset;
+            let yPos = containerRect.height / 2 + (isAbove ? ((totalOffset * -1) - 4) : totalOffset);
+            return {
+                id: item.id,
+                title: item.title,
+                stackLevel,
+                periodAltIndex,
+                isAbove,
+                yPos,
+                year: item.year,
+                end_year: item.end_year
+            };
+        });
+    } catch (e) {
+        console.error('Error in visiblePeriods logging:', e);
+    }
+
+    // Update the rendered item counter
+    const counterDiv = document.getElementById('visible_item_counter');
+    if (counterDiv) {
+        counterDiv.textContent = `Rendered Items: ${renderedItemCount}`;
+    }
+
+    // Remove any existing start marker triangles before adding a new one
+    const oldStartMarkers = container.querySelectorAll('.timeline-start-marker-triangle');
+    oldStartMarkers.forEach(el => el.remove());
+
+    // Add start marker as a right-pointing triangle if it exists and is visible
+    if (timelineMarkers.start) {
+        const startValue = TimelineDate.fromMarker(timelineMarkers.start).toFractionalYear();
+        const startX = centerX + (startValue - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+        if (startX >= 0 && startX <= containerRect.width) {
+            // Create the triangle
+            const triangle = document.createElement('div');
+            triangle.className = 'timeline-start-marker-triangle';
+            triangle.style.left = `${startX}px`;
+            triangle.style.top = `calc(50% - 12px)`;
+            triangle.style.pointerEvents = 'all';
+            triangle.style.cursor = 'pointer';
+            triangle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                showMarkerContextMenu('start', e.clientX, e.clientY);
+            });
+            container.appendChild(triangle);
+        }
+    }
+
+    // Remove any existing end marker triangles before adding a new one
+    const oldEndMarkers = container.querySelectorAll('.timeline-end-marker-triangle');
+    oldEndMarkers.forEach(el => el.remove());
+
+    // Add end marker as a left-pointing triangle if it exists and is visible
+    if (timelineMarkers.end) {
+        const endValue = TimelineDate.fromMarker(timelineMarkers.end).toFractionalYear();
+        const endX = centerX + (endValue - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+        if (endX >= 0 && endX <= containerRect.width) {
+            // Create the triangle
+            const triangle = document.createElement('div');
+            triangle.className = 'timeline-end-marker-triangle';
+            triangle.style.left = `${endX}px`;
+            triangle.style.top = `calc(50% - 12px)`;
+            triangle.style.pointerEvents = 'all';
+            triangle.style.cursor = 'pointer';
+            triangle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                showMarkerContextMenu('end', e.clientX, e.clientY);
+            });
+            container.appendChild(triangle);
+        }
+    }
+
+    // Remove any existing boundary overlays
+    const oldOverlays = container.querySelectorAll('.timeline-boundary-overlay');
+    oldOverlays.forEach(el => el.remove());
+
+    // Add start boundary overlay if start marker exists
+    if (timelineMarkers.start) {
+        const startValue = TimelineDate.fromMarker(timelineMarkers.start).toFractionalYear();
+        const startX = centerX + (startValue - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+        
+        // Create overlay for area before start marker
+        const startOverlay = document.createElement('div');
+        startOverlay.className = 'timeline-boundary-overlay';
+        startOverlay.style.left = '0';
+        startOverlay.style.width = `${startX}px`;
+        container.appendChild(startOverlay);
+    }
+
+    // Add end boundary overlay if end marker exists
+    if (timelineMarkers.end) {
+        const endValue = TimelineDate.fromMarker(timelineMarkers.end).toFractionalYear();
+        const endX = centerX + (endValue - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+        
+        // Create overlay for area after end marker
+        const endOverlay = document.createElement('div');
+        endOverlay.className = 'timeline-boundary-overlay end';
+        endOverlay.style.left = `${endX}px`;
+        endOverlay.style.width = `${containerRect.width - endX}px`;
+        container.appendChild(endOverlay);
+    }
+}
+
+/**
+ * Updates the hover marker position
+ * @param {number} x - Mouse x position
+ * @param {number} y - Mouse y position
+ * 
+ * How it works:
+ * 1. Calculates year at position
+ * 2. Updates marker position
+ * 3. Updates marker label
+ * 
+ * Possible errors:
+ * - Invalid coordinates
+ * - DOM element not found
+ */
+function updateHoverMarker(x, y) {
+    const floatYear = calculateYearFromPosition(x);
+    const hRule = document.getElementById("h-rule");
+    const containerTop = document.getElementById("timeline-container").offsetTop;
+    const relativeY = y - containerTop;
+    
+    // Calculate the snapped position for the stick
+    const containerRect = container.getBoundingClientRect();
+    const centerX = containerRect.width / 2;
+    const snappedDate = TimelineDate.fromFractionalYear(floatYear);
+    const snappedYear = snappedDate.toFractionalYear();
+    const snappedX = centerX + (snappedYear - timelineState.focusYear) * timelineState.pixelsPerSubtick * timelineState.granularity + timelineState.offsetPx;
+
+    // Store the snapped year and subtick for use on click
+    lastHoverYear = snappedDate.year;
+    lastHoverSubtick = snappedDate.subtick;
+
+    // Update the hover year/subyear info
+    const hoverInfo = snappedDate.format(' .', 2);
+    const hoverDiv = document.getElementById('timeline-info-hover');
+    if (hoverDiv) hoverDiv.textContent = hoverInfo;
+
+    hoverMarker.style.left = `${x}px`;
+    hoverMarkerStick.style.left = `${snappedX}px`;
+    if(relativeY < hRule.offsetTop){
+        hoverMarkerStick.classList.add('marker_stick_above');
+        hoverMarkerStick.classList.remove('marker_stick_below');
+
+        hoverMarker.classList.add('marker_above');
+        hoverMarker.classList.remove('marker_below');
+    }else{
+        hoverMarkerStick.classList.add('marker_stick_below');
+        hoverMarkerStick.classList.remove('marker_stick_above');
+
+        hoverMarker.classList.add('marker_below');
+        hoverMarker.classList.remove('marker_above');
+    }
+
+    if(x < containerRect.width/2){
+        hoverMarker.classList.add('marker_left');
+        hoverMarker.classList.remove('marker_right');
+    }else{
+        hoverMarker.classList.add('marker_right');
+        hoverMarker.classList.remove('marker_left');
+    }
+
+    hoverMarker.innerText = getHoverLabel(floatYear, timelineState.granularity);
+    if (timelineState.secondaryAxis) {
+        // Show the same moment in the secondary calendar
+        hoverMarker.innerText += `\n${formatSecondaryDate(snappedYear)}`;
+    }
+    hoverMarker.style.display = 'block';
+    hoverMarkerStick.style.display = 'block';
+}
+
+/**
+ * Checks if timeline position is before start marker and corrects if needed
+ * @returns {boolean} True if position was corrected
+ */
+function checkAndCorrectStartBoundary() {
+    // If no start marker, no correction needed
+    if (!timelineMarkers.start) return false;
+
+    const containerRect = container.getBoundingClientRect();
+    const centerX = containerRect.width / 2;
+    const currentYear = calculateYearFromPosition(centerX + containerRect.left);
+    
+    // Convert start marker to comparable value
+    const startValue = TimelineDate.fromMarker(timelineMarkers.start).toFractionalYear();
+    
+    // If current position is before start marker
+    if (currentYear < startValue) {
+        // Calculate offset needed to center on start marker
+        const targetX = centerX + (startValue - timelineState.focusYear) * timelineState.pixelsPerSubtick * timelineState.granularity;
+        timelineState.offsetPx = centerX - targetX;
+        return true;
+    }
+    
+    return false;
+}
+
+/**
+ * Checks if timeline position is after end marker and corrects if needed
+ * @returns {boolean} True if position was corrected
+ */
+function checkAndCorrectEndBoundary() {
+    // If no end marker, no correction needed
+    if (!timelineMarkers.end) return false;
+
+    const containerRect = container.getBoundingClientRect();
+    const centerX = containerRect.width / 2;
+    const currentYear = calculateYearFromPosition(centerX + containerRect.left);
+    
+    // Convert end marker to comparable value
+    const endValue = TimelineDate.fromMarker(timelineMarkers.end).toFractionalYear();
+    
+    // If current position is after end marker
+    if (currentYear > endValue) {
+        // Calculate offset needed to center on end marker
+        const targetX = centerX + (endValue - timelineState.focusYear) * timelineState.pixelsPerSubtick * timelineState.granularity;
+        timelineState.offsetPx = centerX - targetX;
+        return true;
+    }
+    
+    return false;
+}
+
+function middleMouseScrollStep() {
+    if (!isMiddleMouseDragging) return;
+
+    // Set quality control state
+    isScrolling = true;
+    currentQuality = 0.5; // Set stable quality during navigation
+    
+    // Clear any existing timeout
+    if (scrollTimeout) {
+        clearTimeout(scrollTimeout);
+    }
+    
+    // Set timeout to detect when navigation ends
+    scrollTimeout = setTimeout(() => {
+        isScrolling = false;
+        currentQuality = 1.0; // Reset to full quality
+    }, 150); // 150ms debounce
+
+    const dx = middleMouseCurrentX - middleMouseStartX;
+    // Speed factor: px per second, scaled down for smoothness
+    const speed = dx * -5; // adjust 0.5 for desired sensitivity
+    timelineState.offsetPx = timelineState.offsetPx + speed / 60; // 60fps
+    
+    // Check and correct position if needed
+    if (checkAndCorrectStartBoundary() || checkAndCorrectEndBoundary()) {
+        // If position was corrected, stop the animation
+        isMiddleMouseDragging = false;
+        container.style.cursor = '';
+        if (middleMouseScrollAnim) {
+            cancelAnimationFrame(middleMouseScrollAnim);
+            middleMouseScrollAnim = null;
+        }
+    }
+    
+    renderTimeline();
+    middleMouseScrollAnim = requestAnimationFrame(middleMouseScrollStep);
+}
+
+// ===== Inertial Drag =====
+const INERTIA_TIME_CONSTANT_MS = 325;  // Flick momentum decays to ~37% after this long
+const INERTIA_MIN_VELOCITY = 0.02;     // px/ms; slower releases stop where they are
+const VELOCITY_SAMPLE_WINDOW_MS = 100; // Only the end of a drag counts towards the flick
+const ELASTIC_LIMIT_PX = 120;          // Furthest the view can be pulled past a marker
+const BOUNCE_STIFFNESS = 0.0004;       // Spring pulling an overscrolled view back to its marker (1/ms²)
+
+let dragSamples = [];     // Recent { offset, time } samples of the current drag
+let inertiaFrame = null;  // Animation frame of the running flick, or null
+
+/**
+ * Calculates the offsets at which the view center reaches the timeline markers
+ * @returns {{min: number, max: number}} Offset range; infinite on sides without a marker
+ */
+function getOffsetBounds() {
+    const pixelsPerYear = timelineState.pixelsPerSubtick * timelineState.granularity;
+    return {
+        min: timelineMarkers.end ? (timelineState.focusYear - TimelineDate.fromMarker(timelineMarkers.end).toFractionalYear()) * pixelsPerYear : -Infinity,
+        max: timelineMarkers.start ? (timelineState.focusYear - TimelineDate.fromMarker(timelineMarkers.start).toFractionalYear()) * pixelsPerYear : Infinity
+    };
+}
+
+/**
+ * Lets a drag pull the view past a marker with increasing resistance
+ * @param {number} offset - Offset the drag asks for
+ * @returns {number} Offset to show
+ */
+function applyElasticOffset(offset) {
+    const { min, max } = getOffsetBounds();
+    const resist = (distance) => ELASTIC_LIMIT_PX * (1 - Math.exp(-distance / ELASTIC_LIMIT_PX));
+    if (offset > max) return max + resist(offset - max);
+    if (offset < min) return min - resist(min - offset);
+    return offset;
+}
+
+/**
+ * Records the current offset for flick velocity tracking
+ */
+function recordDragSample() {
+    const now = performance.now();
+    dragSamples.push({ offset: timelineState.offsetPx, time: now });
+    while (dragSamples.length > 2 && now - dragSamples[0].time > VELOCITY_SAMPLE_WINDOW_MS) {
+        dragSamples.shift();
+    }
+}
+
+/**
+ * @returns {number} Drag velocity in px/ms over the last samples (0 if the pointer rested before release)
+ */
+function getDragVelocity() {
+    if (dragSamples.length < 2) return 0;
+    const first = dragSamples[0];
+    const last = dragSamples[dragSamples.length - 1];
+    if (performance.now() - last.time > VELOCITY_SAMPLE_WINDOW_MS) return 0;
+    const elapsed = last.time - first.time;
+    return elapsed > 0 ? (last.offset - first.offset) / elapsed : 0;
+}
+
+/**
+ * Stops a running flick where it is
+ */
+function stopInertia() {
+    if (inertiaFrame === null) return;
+    cancelAnimationFrame(inertiaFrame);
+    inertiaFrame = null;
+    isScrolling = false;
+}
+
+/**
+ * Continues a released drag with momentum, bouncing back at the markers
+ * @param {number} velocity - Release velocity in px/ms
+ * 
+ * How it works:
+ * 1. Inside the markers the velocity decays exponentially (friction)
+ * 2. Past a marker a critically damped spring pulls the view back
+ * 3. Stops once slow enough, snapping onto the marker after a bounce
+ */
+function startInertia(velocity) {
+    stopInertia();
+    if (!shouldAnimateNavigation()) {
+        // Reduced motion: no momentum, just settle inside the markers
+        checkAndCorrectStartBoundary();
+        checkAndCorrectEndBoundary();
+        renderTimeline();
+        return;
+    }
+
+    let lastTime = performance.now();
+    isScrolling = true;
+    const step = (now) => {
+        const dt = Math.min(32, now - lastTime);
+        lastTime = now;
+        const { min, max } = getOffsetBounds();
+        const offset = timelineState.offsetPx;
+        const overscroll = offset > max ? offset - max : (offset < min ? offset - min : 0);
+
+        if (overscroll !== 0) {
+            velocity += (-BOUNCE_STIFFNESS * overscroll - 2 * Math.sqrt(BOUNCE_STIFFNESS) * velocity) * dt;
+        } else {
+            velocity *= Math.exp(-dt / INERTIA_TIME_CONSTANT_MS);
+        }
+        timelineState.offsetPx = offset + velocity * dt;
+
+        const isBack = overscroll !== 0 && timelineState.offsetPx <= max && timelineState.offsetPx >= min;
+        const isSettled = Math.abs(velocity) < INERTIA_MIN_VELOCITY && Math.abs(overscroll) < 0.5;
+        if (isBack || isSettled) {
+            if (overscroll !== 0) {
+                timelineState.offsetPx = overscroll > 0 ? max : min;
+            }
+            inertiaFrame = null;
+            isScrolling = false;
+            renderTimeline();
+            return;
+        }
+
+        renderTimeline();
+        inertiaFrame = requestAnimationFrame(step);
+    };
+    inertiaFrame = requestAnimationFrame(step);
+}
+
+/**
+ * Ends a one-pointer drag, handing its velocity (or overscroll) to startInertia
+ */
+function releaseDrag() {
+    const velocity = getDragVelocity();
+    dragSamples = [];
+    const { min, max } = getOffsetBounds();
+    const isOverscrolled = timelineState.offsetPx > max || timelineState.offsetPx < min;
+    if (Math.abs(velocity) >= INERTIA_MIN_VELOCITY || isOverscrolled) {
+        startInertia(velocity);
+    }
+}
+
+// Wheel scrolling takes over from a flick
+container.addEventListener('wheel', stopInertia, { capture: true, passive: true });
+
+// ===== Saving Item Edits =====
+// The main process stores items through 'addTimelineItem' and 'removeItem', so an item
+// edited in this window (dragged, resized or changed by a bulk edit) is saved by removing it
+// and adding the edited copy, which gets a new id. The item list that answers the save is
+// checked for every edited copy, and a save that didn't land is reported.
+const ITEM_ID_FIELDS = ['id', 'created_at', 'updated_at'];
+
+const pendingItemSaves = []; // Oldest first: { label, saved: [{ id, copy }], listNumber }
+let requestedItemLists = 0;   // 'get-all-items' requests sent
+let receivedItemLists = 0;    // 'all-items' lists received; the main process answers in order
+
+/**
+ * Saves edited copies of several items as one change, locally and over IPC
+ * @param {Array<{item: Object, updated: Object}>} changes - Items and their edited copies
+ * @param {string} label - History label
+ */
+function saveItemUpdates(changes, label) {
+    if (changes.length === 0) return;
+
+    // Show the result right away; the re-sync replaces it with the saved items
+    changes.forEach(({ item, updated }) => {
+        const index = timelineState.items.indexOf(item);
+        if (index !== -1) timelineState.items[index] = updated;
+    });
+    rebuildItemIndex();
+    if (changes.some(({ item }) => item.type === 'Period')) {
+        computePeriodStackLevels();
+    }
+    resetRenderedItemElements();
+    renderTimeline();
+
+    expectHistoryChange(label);
+    changes.forEach(({ item, updated }) => {
+        const copy = copyHistoryItem(updated);
+        ITEM_ID_FIELDS.forEach(field => delete copy[field]);
+        window.api.send('removeItem', item.id);
+        window.api.send('addTimelineItem', copy);
+    });
+    refreshTimeline();
+    pendingItemSaves.push({
+        label,
+        saved: changes.map(({ item, updated }) => ({ id: String(item.id), copy: copyHistoryItem(updated) })),
+        listNumber: requestedItemLists
+    });
+}
+
+/**
+ * Checks the saves this item list answers: each must find all of its edited copies
+ * @param {Array<Object>} items - Item list from 'all-items'
+ */
+function checkPendingItemSaves(items) {
+    receivedItemLists++;
+    while (pendingItemSaves.length > 0 && pendingItemSaves[0].listNumber <= receivedItemLists) {
+        checkItemSave(pendingItemSaves.shift(), items);
+    }
+}
+
+/**
+ * Moves selected items over to their re-created copies, and reports a save whose edited
+ * copies aren't all in the item list
+ * @param {{label: string, saved: Array<{id: string, copy: Object}>}} save - Pending save
+ * @param {Array<Object>} items - Item list answering it
+ */
+function checkItemSave({ label, saved }, items) {
+    const missing = [];
+    saved.forEach(({ id, copy }) => {
+        const item = items.find(candidate => candidate && isRecreatedItem(candidate, copy));
+        if (!item) {
+            missing.push(copy);
+            return;
+        }
+        if (selectedItemIds.delete(id)) selectedItemIds.add(String(item.id));
+        if (selectionAnchorId === id) selectionAnchorId = String(item.id);
+    });
+    if (missing.length === 0) return;
+
+    const what = missing.length === 1 ? `"${missing[0].title || '(No Title)'}" is` : `${missing.length} items are`;
+    const message = `${label} wasn't saved; ${what} shown as stored`;
+    if (window.showError) {
+        window.showError(message);
+    } else {
+        console.error(message);
+    }
+}
+
+// ===== Item Dragging =====
+// Item boxes and bookmark dots can be dragged with a mouse or pen to re-date them (fingers
+// pan instead). The item stays in place while a ghost copy follows the pointer in whole
+// subticks; the change is sent on drop and the item list re-synced.
+// The start and end markers are moved through their context menu, not dragged
+const NOT_MARKER_SELECTOR = ':not([data-type^="Timeline_"])';
+const ITEM_DRAG_SELECTOR = `.timeline-item-box${NOT_MARKER_SELECTOR}, .timeline-picture-box${NOT_MARKER_SELECTOR}, .timeline-bookmark-dot`;
+
+let itemDrag = null; // { pointerId, element, item, startX, threshold, originalDate, date, ghost, readout }
+
+/**
+ * Prepares an item drag; nothing moves until the pointer passes the drag threshold,
+ * so a plain click still opens the item
+ * @param {HTMLElement} element - Item box or bookmark dot under the pointer
+ * @param {PointerEvent} e - pointerdown event
+ * @returns {boolean} True if the item can be dragged
+ */
+function beginItemDrag(element, e) {
+    const item = getItemById(element.getAttribute('data-id'));
+    if (!item) return false;
+    const originalDate = TimelineDate.fromItem(item);
+    itemDrag = {
+        pointerId: e.pointerId,
+        element,
+        item,
+        startX: e.clientX,
+        threshold: e.pointerType === 'mouse' ? MOUSE_DRAG_THRESHOLD_PX : TOUCH_DRAG_THRESHOLD_PX,
+        originalDate,
+        date: originalDate,
+        ghost: null,
+        readout: null
+    };
+    return true;
+}
+
+/**
+ * Clamps a dragged item's date to the timeline markers
+ * @param {TimelineDate} date - Target date
+ * @returns {TimelineDate} Date inside the markers
+ */
+function clampToMarkers(date) {
+    if (timelineMarkers.start) {
+        const start = TimelineDate.fromMarker(timelineMarkers.start);
+        if (date.isBefore(start)) return start;
+    }
+    if (timelineMarkers.end) {
+        const end = TimelineDate.fromMarker(timelineMarkers.end);
+        if (date.isAfter(end)) return end;
+    }
+    return date;
+}
+
+/**
+ * Creates the ghost copy and date readout once the drag passes the threshold
+ */
+function showItemDragGhost() {
+    const { element } = itemDrag;
+    const ghost = element.cloneNode(true);
+    ghost.classList.add('timeline-drag-ghost');
+    ghost.removeAttribute('id');
+    ghost.removeAttribute('tabindex');
+    ghost.setAttribute('aria-hidden', 'true');
+    ghost.style.position = 'absolute';
+    ghost.style.opacity = '0.6';
+    ghost.style.pointerEvents = 'none';
+    ghost.style.zIndex = '500';
+    container.appendChild(ghost);
+
+    element.style.opacity = '0.4';
+    itemDrag.ghost = ghost;
+    itemDrag.readout = createDragReadout();
+}
+
+/**
+ * Creates the date label shown above dragged items and range ends
+ * @returns {HTMLElement} Readout element, already in the container
+ */
+function createDragReadout() {
+    const readout = document.createElement('div');
+    readout.className = 'timeline-drag-readout';
+    readout.setAttribute('role', 'status');
+    Object.assign(readout.style, {
+        position: 'absolute',
+        padding: '1px 4px',
+        backgroundColor: '#4b2e2e',
+        color: '#fff',
+        font: '12px sans-serif',
+        borderRadius: '3px',
+        whiteSpace: 'nowrap',
+        pointerEvents: 'none',
+        zIndex: '501'
+    });
+    container.appendChild(readout);
+    return readout;
+}
+
+/**
+ * Moves the ghost to the snapped date under the pointer
+ * @param {PointerEvent} e - pointermove event
+ */
+function updateItemDrag(e) {
+    const dx = e.clientX - itemDrag.startX;
+    if (!itemDrag.ghost) {
+        if (Math.abs(dx) <= itemDrag.threshold) return;
+        // Close the item selector if it's open
+        closeItemSelector();
+        hoverMarker.style.display = 'none';
+        hoverMarkerStick.style.display = 'none';
+        // Keeps the click that ends the drag from opening the item or the item selector
+        isDragging = true;
+        container.setPointerCapture(e.pointerId);
+        showItemDragGhost();
+    }
+
+    const subticks = Math.round(dx / timelineState.pixelsPerSubtick);
+    itemDrag.date = clampToMarkers(itemDrag.originalDate.add(0, subticks));
+
+    const containerRect = container.getBoundingClientRect();
+    const elementRect = itemDrag.element.getBoundingClientRect();
+    const left = elementRect.left - containerRect.left + itemDrag.date.diff(itemDrag.originalDate) * timelineState.pixelsPerSubtick;
+    const top = elementRect.top - containerRect.top;
+    itemDrag.ghost.style.left = `${left}px`;
+    itemDrag.ghost.style.top = `${top}px`;
+    itemDrag.readout.style.left = `${left}px`;
+    itemDrag.readout.style.top = `${top - 20}px`;
+    itemDrag.readout.textContent = getHoverLabel(itemDrag.date.toFractionalYear(), timelineState.granularity);
+}
+
+/**
+ * Saves new dates for an item, locally and over IPC
+ * @param {Object} item - Item being re-dated
+ * @param {TimelineDate} start - New start date
+ * @param {TimelineDate|null} end - New end date for Ages and Periods, or null to keep the end
+ * @param {string} label - History label
+ */
+function saveItemDates(item, start, end, label) {
+    const updated = { ...item };
+    setItemDates(updated, start, end);
+    saveItemUpdates([{ item, updated }], label);
+}
+
+/**
+ * Ends an item drag
+ * @param {boolean} drop - Apply the new date (false when the drag was cancelled)
+ */
+function finishItemDrag(drop) {
+    const drag = itemDrag;
+    itemDrag = null;
+    if (!drag.ghost) return; // Never moved: the click opens the item as usual
+
+    drag.ghost.remove();
+    drag.readout.remove();
+    drag.element.style.opacity = '';
+    if (container.hasPointerCapture(drag.pointerId)) {
+        container.releasePointerCapture(drag.pointerId);
+    }
+    if (drop && !drag.date.equals(drag.originalDate)) {
+        const { item, date } = drag;
+        saveItemDates(item, date, null, `Move ${(item.type || 'item').replace(/_/g, ' ')} "${item.title || '(No Title)'}" to ${date.format('.', 2)}`);
+    }
+}
+
+// Escape puts a dragged item or resized bar back
+document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || !(itemDrag || rangeResize)) return;
+    if (itemDrag) finishItemDrag(false);
+    if (rangeResize) finishRangeResize(false);
+    e.preventDefault(); // Leaves the selection alone
+});
+
+// ===== Range Resizing =====
+// Both ends of Age and Period bars carry a handle that re-dates that end. The bar follows
+// the pointer in whole subticks and the change is sent on drop; an end before the start
+// is rejected.
+const RANGE_HANDLE_SELECTOR = '.timeline-range-handle';
+const RANGE_HANDLE_WIDTH_PX = 6;
+
+let rangeResize = null; // { pointerId, element, item, edge, startX, threshold, start, end, originalStart, originalEnd, readout }
+
+/**
+ * Adds the start and end handles to a range bar
+ * @param {HTMLElement} element - Age or Period bar
+ */
+function addRangeHandles(element) {
+    ['start', 'end'].forEach(edge => {
+        const handle = document.createElement('div');
+        handle.className = 'timeline-range-handle';
+        handle.dataset.edge = edge;
+        handle.setAttribute('aria-hidden', 'true'); // The edit form covers keyboard users
+        Object.assign(handle.style, {
+            position: 'absolute',
+            top: '0',
+            height: '100%',
+            width: `${RANGE_HANDLE_WIDTH_PX}px`,
+            cursor: 'ew-resize',
+            [edge === 'start' ? 'left' : 'right']: '0'
+        });
+        element.appendChild(handle);
+    });
+}
+
+/**
+ * Hides the handle of an end that is cut off at the edge of the view
+ * @param {HTMLElement} element - Age or Period bar
+ * @param {boolean} startVisible - The bar's start is inside the view
+ * @param {boolean} endVisible - The bar's end is inside the view
+ */
+function updateRangeHandles(element, startVisible, endVisible) {
+    element.querySelectorAll(RANGE_HANDLE_SELECTOR).forEach(handle => {
+        const isVisible = handle.dataset.edge === 'start' ? startVisible : endVisible;
+        handle.style.display = isVisible ? '' : 'none';
+    });
+}
+
+/**
+ * Prepares a resize; nothing changes until the pointer passes the drag threshold
+ * @param {HTMLElement} handle - Handle under the pointer
+ * @param {PointerEvent} e - pointerdown event
+ * @returns {boolean} True if the bar can be resized
+ */
+function beginRangeResize(handle, e) {
+    const element = handle.closest(RANGE_ITEM_SELECTOR);
+    const item = element && getItemById(element.getAttribute('data-id'));
+    if (!item) return false;
+    const start = TimelineDate.fromItem(item);
+    const end = TimelineDate.fromItem(item, true);
+    rangeResize = {
+        pointerId: e.pointerId,
+        element,
+        item,
+        edge: handle.dataset.edge,
+        startX: e.clientX,
+        threshold: e.pointerType === 'mouse' ? MOUSE_DRAG_THRESHOLD_PX : TOUCH_DRAG_THRESHOLD_PX,
+        start,
+        end,
+        originalStart: start,
+        originalEnd: end,
+        readout: null
+    };
+    return true;
+}
+
+/**
+ * Moves the dragged end to the subtick under the pointer and redraws the bar
+ * @param {PointerEvent} e - pointermove event
+ */
+function updateRangeResize(e) {
+    if (!rangeResize.readout) {
+        if (Math.abs(e.clientX - rangeResize.startX) <= rangeResize.threshold) return;
+        closeItemSelector();
+        // Keeps the click that ends the resize from opening the bar or the item selector
+        isDragging = true;
+        container.setPointerCapture(e.pointerId);
+        rangeResize.readout = createDragReadout();
+    }
+
+    const date = clampToMarkers(TimelineDate.fromFractionalYear(calculateYearFromPosition(e.clientX)));
+    if (rangeResize.edge === 'start') {
+        rangeResize.start = date;
+    } else {
+        rangeResize.end = date;
+    }
+    const { element, start, end, readout } = rangeResize;
+    const isInvalid = end.isBefore(start);
+
+    const containerWidth = container.getBoundingClientRect().width;
+    const startX = calculatePositionFromYear(start.toFractionalYear());
+    const endX = calculatePositionFromYear(end.toFractionalYear());
+    const left = Math.max(0, Math.min(startX, endX));
+    element.style.left = `${left}px`;
+    element.style.width = `${Math.max(0, Math.min(containerWidth, Math.max(startX, endX)) - left)}px`;
+
+    const edgeX = rangeResize.edge === 'start' ? startX : endX;
+    readout.style.left = `${edgeX}px`;
+    readout.style.top = `${element.offsetTop - 20}px`;
+    readout.style.backgroundColor = isInvalid ? '#c62828' : '#4b2e2e';
+    readout.textContent = isInvalid
+        ? 'End before start'
+        : getHoverLabel(date.toFractionalYear(), timelineState.granularity);
+}
+
+/**
+ * Ends a resize
+ * @param {boolean} drop - Apply the new dates (false when the resize was cancelled)
+ */
+function finishRangeResize(drop) {
+    const resize = rangeResize;
+    rangeResize = null;
+    if (!resize.readout) return; // Never moved: the click opens the bar as usual
+
+    resize.readout.remove();
+    if (container.hasPointerCapture(resize.pointerId)) {
+        container.releasePointerCapture(resize.pointerId);
+    }
+
+    const { item, start, end } = resize;
+    const isUnchanged = start.equals(resize.originalStart) && end.equals(resize.originalEnd);
+    if (!drop || isUnchanged || end.isBefore(start)) {
+        if (drop && end.isBefore(start)) {
+            const message = `${item.type} "${item.title || '(No Title)'}" can't end before it starts (${start.format('.', 2)})`;
+            if (window.showError) {
+                window.showError(message);
+            } else {
+                console.error(message);
+            }
+        }
+        renderTimeline(); // Puts the bar back
+        return;
+    }
+
+    saveItemDates(item, start, end, `Resize ${item.type} "${item.title || '(No Title)'}" to ${start.format('.', 2)} – ${end.format('.', 2)}`);
+}
+
+// ===== Selection =====
+// Ctrl-click toggles an item in the selection, Shift-click selects every item dated between
+// the last clicked one and this one, and Shift-dragging across the empty timeline selects
+// everything the band touches (Ctrl+Shift adds to the selection). While items are selected,
+// a toolbar offers bulk edits; each bulk edit is a single history entry.
+// Timeline markers aren't items to edit in bulk, so their boxes can't be selected
+const SELECTABLE_ITEM_SELECTOR = `.timeline-item-box${NOT_MARKER_SELECTOR}, .timeline-picture-box${NOT_MARKER_SELECTOR}, ${BOOKMARK_SELECTOR}, ${RANGE_ITEM_SELECTOR}`;
+const SELECTION_OUTLINE = '2px solid #4a90e2';
+
+const selectedItemIds = new Set();
+let selectionAnchorId = null; // Last item clicked into the selection, for Shift-click ranges
+let rubberBand = null;        // { pointerId, startX, startY, additive, element } while Shift-dragging
+
+/**
+ * Marks an item element as selected or not
+ * @param {HTMLElement} element - Item box, bookmark or range element
+ * @param {Object} item - Timeline item
+ */
+function applySelectionFlag(element, item) {
+    const isSelected = selectedItemIds.has(String(item.id));
+    element.classList.toggle('timeline-item-selected', isSelected);
+    element.style.outline = isSelected ? SELECTION_OUTLINE : '';
+}
+
+/**
+ * Lists the selected items that still exist
+ * @returns {Array<Object>} Selected items, without timeline markers or items the filter hides
+ */
+function getSelectedItems() {
+    return timelineState.items.filter(item => item && selectedItemIds.has(String(item.id))
+        && item.type !== 'Timeline_start' && item.type !== 'Timeline_end' && isItemShown(item));
+}
+
+/**
+ * Redraws the selection outlines and the toolbar
+ */
+function onSelectionChanged() {
+    renderTimeline();
+    updateSelectionToolbar();
+}
+
+/**
+ * Adds items to the selection, or replaces it
+ * @param {Array<string>} ids - Item ids
+ * @param {boolean} additive - Keep the current selection
+ */
+function selectItems(ids, additive = false) {
+    if (!additive) selectedItemIds.clear();
+    ids.forEach(id => selectedItemIds.add(String(id)));
+    onSelectionChanged();
+}
+
+/**
+ * Empties the selection
+ */
+function clearSelection() {
+    if (selectedItemIds.size === 0) return;
+    selectedItemIds.clear();
+    selectionAnchorId = null;
+    onSelectionChanged();
+}
 
-                // Highlight on hover
-                box.addEventListener('mouseenter', function() {
-                    box.classList.add('highlighted');
-                    //const lineElem = document.getElementById(lineId);
-                    //if (lineElem) lineElem.classList.add('highlighted-line');
-                    
-                    if (globalHoverBubble) {
-                        // Get the year and subtick from the data attributes
-                        const year = box.getAttribute('data-year');
-                        const title = item.title || '(No Title)';
-                        
-                        // Set the content
-                        globalHoverBubble.textContent = `${title} (${year})`;
-                        
-                        // Position the bubble
-                        const boxRect = box.getBoundingClientRect();
-                        globalHoverBubble.style.left = `${boxRect.left + boxRect.width/2}px`;
-                        globalHoverBubble.style.top = `${boxRect.top - 25}px`;
-                        globalHoverBubble.style.opacity = '1';
-                    }
-                    // Update canvas to show highlight
-                    canvas.update();
-                });
-                box.addEventListener('mouseleave', function() {
-                    box.classList.remove('highlighted');
-                    //const lineElem = document.getElementById(lineId);
-                    //if (lineElem) lineElem.classList.remove('highlighted-line');
-                    
-                    if (globalHoverBubble) {
-                        globalHoverBubble.style.opacity = '0';
-                    }
-                    canvas.update();
-                });
-                timeline.appendChild(box);
-                itemBoxes.push(box);
-        renderedItemCount++;
-            }
+/**
+ * Drops ids of items that no longer exist (after a re-sync) or that the filter hides
+ */
+function pruneSelection() {
+    const existingIds = new Set(timelineState.items.filter(item => item && isItemShown(item)).map(item => String(item.id)));
+    let changed = false;
+    selectedItemIds.forEach(id => {
+        if (!existingIds.has(id)) {
+            selectedItemIds.delete(id);
+            changed = true;
         }
     });
+    if (changed || selectedItemIds.size > 0) updateSelectionToolbar();
+}
 
-    if(!container || !containerRect){
-        return;
-    }
+/**
+ * Selects every item starting between two items, inclusive
+ * @param {Object} fromItem - Anchor item
+ * @param {Object} toItem - Shift-clicked item
+ * @param {boolean} additive - Keep the current selection
+ */
+function selectItemRange(fromItem, toItem, additive) {
+    let from = TimelineDate.fromItem(fromItem);
+    let to = TimelineDate.fromItem(toItem);
+    if (to.isBefore(from)) [from, to] = [to, from];
+    const ids = timelineState.items
+        .filter(item => item && item.type !== 'Timeline_start' && item.type !== 'Timeline_end' && isItemShown(item))
+        .filter(item => {
+            const date = TimelineDate.fromItem(item);
+            return !date.isBefore(from) && !date.isAfter(to);
+        })
+        .map(item => item.id);
+    selectItems(ids, additive);
+}
 
-    // Step 2: After rendering, log all visible periods and their stack info
-    try {
-        const visiblePeriods = visibleItems.filter(item => item && item.type === 'Period').map(item => {
-            let stackLevel = periodStackLevels ? (periodStackLevels[item.id] || 0) : 0;
-            let periodAltIndex = periodAltIndices ? (periodAltIndices[item.id] || 0) : 0;
-            let isAbove = (periodAltIndex % 2 === 0);
-            let baseOffset = 10;
-            let stackOffset = stackLevel * 13;
-            let totalOffset = baseOffset + stackOffset;
-            let yPos = containerRect.height / 2 + (isAbove ? ((totalOffset * -1) - 4) : totalOffset);
-            return {
-                id: item.id,
-                title: item.title,
-                stackLevel,
-                periodAltIndex,
-                isAbove,
-                yPos,
-                year: item.year,
-                end_year: item.end_year
-            };
-        });
-    } catch (e) {
-        console.error('Error in visiblePeriods logging:', e);
+/**
+ * Starts a Shift-drag selection band
+ * @param {PointerEvent} e - pointerdown event
+ */
+function beginRubberBand(e) {
+    const element = document.createElement('div');
+    element.className = 'timeline-selection-band';
+    Object.assign(element.style, {
+        position: 'absolute',
+        border: '1px dashed #4a90e2',
+        backgroundColor: '#4a90e222',
+        pointerEvents: 'none',
+        zIndex: '500',
+        display: 'none'
+    });
+    container.appendChild(element);
+    rubberBand = {
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        additive: e.ctrlKey || e.metaKey,
+        element
+    };
+}
+
+/**
+ * Stretches the selection band to the pointer
+ * @param {PointerEvent} e - pointermove event
+ */
+function updateRubberBand(e) {
+    const { startX, startY, element } = rubberBand;
+    if (element.style.display === 'none') {
+        if (Math.hypot(e.clientX - startX, e.clientY - startY) <= MOUSE_DRAG_THRESHOLD_PX) return;
+        // Keeps the click that ends the band from opening the item selector
+        isDragging = true;
+        container.setPointerCapture(e.pointerId);
+        element.style.display = 'block';
     }
+    const containerRect = container.getBoundingClientRect();
+    element.style.left = `${Math.min(startX, e.clientX) - containerRect.left}px`;
+    element.style.top = `${Math.min(startY, e.clientY) - containerRect.top}px`;
+    element.style.width = `${Math.abs(e.clientX - startX)}px`;
+    element.style.height = `${Math.abs(e.clientY - startY)}px`;
+}
 
-    // Update the rendered item counter
-    const counterDiv = document.getElementById('visible_item_counter');
-    if (counterDiv) {
-        counterDiv.textContent = `Rendered Items: ${renderedItemCount}`;
+/**
+ * Selects the items the band touches and removes it
+ * @param {boolean} apply - Select the items (false when the band was cancelled)
+ */
+function finishRubberBand(apply) {
+    const band = rubberBand;
+    rubberBand = null;
+    const wasShown = band.element.style.display !== 'none';
+    const bandRect = band.element.getBoundingClientRect();
+    band.element.remove();
+    if (container.hasPointerCapture(band.pointerId)) {
+        container.releasePointerCapture(band.pointerId);
     }
+    if (!apply || !wasShown) return;
+
+    const ids = new Set();
+    container.querySelectorAll(SELECTABLE_ITEM_SELECTOR).forEach(element => {
+        const rect = element.getBoundingClientRect();
+        const touches = rect.right >= bandRect.left && rect.left <= bandRect.right &&
+            rect.bottom >= bandRect.top && rect.top <= bandRect.bottom;
+        if (touches) ids.add(element.getAttribute('data-id'));
+    });
+    selectItems(Array.from(ids), band.additive);
+}
 
-    // Add click handlers for timeline markers
-    const startMarker = document.querySelector('.timeline-item-box[data-type="Timeline_start"]');
-    const endMarker = document.querySelector('.timeline-item-box[data-type="Timeline_end"]');
+/**
+ * Applies the same edit to every selected item
+ * @param {function(Object): void} edit - Modifies an item copy in place
+ * @param {string} label - History label, after the item count (e.g. 'Recolor')
+ */
+function editSelectedItems(edit, label) {
+    const items = getSelectedItems();
+    const changes = items.map(item => {
+        const updated = { ...item };
+        edit(updated);
+        return { item, updated };
+    });
+    saveItemUpdates(changes, `${label} ${items.length} item${items.length === 1 ? '' : 's'}`);
+}
 
-    if (startMarker) {
-        startMarker.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            
-            // Clear existing menu items
-            clearContextMenuItems();
-            
-            // Add remove option
-            addContextMenuItem({
-                type: 'remove_start',
-                icon: 'ri-delete-bin-line',
-                label: 'Remove timeline start',
-                action: () => removeTimelineStart()
-            });
-            
-            // Show context menu
-            showContextMenu(e.clientX, e.clientY, startMarker.dataset.year, startMarker.dataset.subtick);
-        });
-    }
+/**
+ * Adds or removes tags on every selected item
+ * @param {string} text - Comma separated tag names
+ * @param {boolean} remove - Remove the tags instead of adding them
+ */
+function retagSelectedItems(text, remove = false) {
+    const tags = text.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tags.length === 0) return;
+    editSelectedItems(item => {
+        const current = Array.isArray(item.tags) ? item.tags : [];
+        item.tags = remove
+            ? current.filter(tag => !tags.includes(tag))
+            : [...current, ...tags.filter(tag => !current.includes(tag))];
+    }, remove ? 'Untag' : 'Tag');
+}
 
-    if (endMarker) {
-        endMarker.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            
-            // Clear existing menu items
-            clearContextMenuItems();
-            
-            // Add remove option
-            addContextMenuItem({
-                type: 'remove_end',
-                icon: 'ri-delete-bin-line',
-                label: 'Remove timeline end',
-                action: () => removeTimelineEnd()
-            });
-            
-            // Show context menu
-            showContextMenu(e.clientX, e.clientY, endMarker.dataset.year, endMarker.dataset.subtick);
-        });
+/**
+ * Moves every selected item by the same offset
+ * @param {string} text - Offset such as "+25y" or "-3 subticks"
+ * @returns {string|null} Error message, or null when the items were moved
+ */
+function shiftSelectedItems(text) {
+    const offset = parseDateOffset((text || '').trim());
+    if (!offset) return 'Enter an offset like +25y or -3 subticks';
+    if (offset.error) return offset.error;
+
+    const items = getSelectedItems();
+    const moved = items.map(item => {
+        const hasEnd = item.end_year !== undefined && item.end_year !== null;
+        return {
+            item,
+            start: TimelineDate.fromItem(item).add(offset.years, offset.subticks),
+            end: hasEnd ? TimelineDate.fromItem(item, true).add(offset.years, offset.subticks) : null
+        };
+    });
+    // Shifting is all or nothing, so items keep their spacing
+    const outside = moved.find(({ start, end }) =>
+        !clampToMarkers(start).equals(start) || (end && !clampToMarkers(end).equals(end)));
+    if (outside) {
+        return `"${outside.item.title || '(No Title)'}" would move past the timeline's start or end`;
     }
 
-    // Remove any existing start marker triangles before adding a new one
-    const oldStartMarkers = container.querySelectorAll('.timeline-start-marker-triangle');
-    oldStartMarkers.forEach(el => el.remove());
+    const changes = moved.map(({ item, start, end }) => {
+        const updated = { ...item };
+        setItemDates(updated, start, end);
+        return { item, updated };
+    });
+    saveItemUpdates(changes, `Shift ${items.length} item${items.length === 1 ? '' : 's'} by ${text.trim()}`);
+    return null;
+}
 
-    // Add start marker as a right-pointing triangle if it exists and is visible
-    if (timelineMarkers.start) {
-        const startYear = timelineMarkers.start.year;
-        const startSubtick = timelineMarkers.start.subtick;
-        const startValue = startYear + (startSubtick / granularity);
-        const startX = centerX + (startValue - focusYear) * pixelsPerSubtick * granularity + offsetPx;
-        if (startX >= 0 && startX <= containerRect.width) {
-            // Create the triangle
-            const triangle = document.createElement('div');
-            triangle.className = 'timeline-start-marker-triangle';
-            triangle.style.left = `${startX}px`;
-            triangle.style.top = `calc(50% - 12px)`;
-            triangle.style.pointerEvents = 'all';
-            triangle.style.cursor = 'pointer';
-            triangle.addEventListener('click', (e) => {
-                e.stopPropagation();
-                // Clear existing menu items
-                clearContextMenuItems();
-                // Add remove option
-                addContextMenuItem({
-                    type: 'remove_start',
-                    icon: 'ri-delete-bin-line',
-                    label: 'Remove timeline start',
-                    action: () => removeTimelineStart()
-                });
-                // Show context menu
-                showContextMenu(e.clientX, e.clientY, startYear, startSubtick);
-            });
-            container.appendChild(triangle);
-        }
-    }
+/**
+ * Deletes every selected item after one confirmation
+ */
+function deleteSelectedItems() {
+    const items = getSelectedItems();
+    if (items.length === 0) return;
+    const question = items.length === 1
+        ? `Delete "${items[0].title || '(No Title)'}"?`
+        : `Delete ${items.length} items?`;
+    if (!window.confirm(question)) return;
+
+    expectHistoryChange(`Delete ${items.length} item${items.length === 1 ? '' : 's'}`);
+    items.forEach(item => window.api.send('removeItem', item.id));
+    selectedItemIds.clear();
+    selectionAnchorId = null;
+    updateSelectionToolbar();
+    refreshTimeline();
+}
 
-    // Remove any existing end marker triangles before adding a new one
-    const oldEndMarkers = container.querySelectorAll('.timeline-end-marker-triangle');
-    oldEndMarkers.forEach(el => el.remove());
+/**
+ * Creates the selection toolbar
+ * @returns {HTMLElement} Toolbar element
+ */
+function createSelectionToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.id = 'timeline-selection-toolbar';
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', 'Selected items');
+    Object.assign(toolbar.style, {
+        position: 'fixed',
+        bottom: '10px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        display: 'none',
+        alignItems: 'center',
+        gap: '6px',
+        padding: '6px 10px',
+        backgroundColor: '#fffdf8',
+        border: '1px solid #00000033',
+        borderRadius: '4px',
+        boxShadow: '0 2px 8px #00000033',
+        font: '13px sans-serif',
+        zIndex: '1000'
+    });
 
-    // Add end marker as a left-pointing triangle if it exists and is visible
-    if (timelineMarkers.end) {
-        const endYear = timelineMarkers.end.year;
-        const endSubtick = timelineMarkers.end.subtick;
-        const endValue = endYear + (endSubtick / granularity);
-        const endX = centerX + (endValue - focusYear) * pixelsPerSubtick * granularity + offsetPx;
-        if (endX >= 0 && endX <= containerRect.width) {
-            // Create the triangle
-            const triangle = document.createElement('div');
-            triangle.className = 'timeline-end-marker-triangle';
-            triangle.style.left = `${endX}px`;
-            triangle.style.top = `calc(50% - 12px)`;
-            triangle.style.pointerEvents = 'all';
-            triangle.style.cursor = 'pointer';
-            triangle.addEventListener('click', (e) => {
-                e.stopPropagation();
-                // Clear existing menu items
-                clearContextMenuItems();
-                // Add remove option
-                addContextMenuItem({
-                    type: 'remove_end',
-                    icon: 'ri-delete-bin-line',
-                    label: 'Remove timeline end',
-                    action: () => removeTimelineEnd()
-                });
-                // Show context menu
-                showContextMenu(e.clientX, e.clientY, endYear, endSubtick);
-            });
-            container.appendChild(triangle);
-        }
-    }
+    const addButton = (label, handler) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', handler);
+        toolbar.appendChild(button);
+        return button;
+    };
+    const addInput = (placeholder, label) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = placeholder;
+        input.setAttribute('aria-label', label);
+        input.style.width = '90px';
+        toolbar.appendChild(input);
+        return input;
+    };
 
-    // Remove any existing boundary overlays
-    const oldOverlays = container.querySelectorAll('.timeline-boundary-overlay');
-    oldOverlays.forEach(el => el.remove());
+    const count = document.createElement('span');
+    count.dataset.role = 'count';
+    count.setAttribute('aria-live', 'polite');
+    toolbar.appendChild(count);
+
+    const tagInput = addInput('tag, tag', 'Tags');
+    addButton('Add tags', () => retagSelectedItems(tagInput.value));
+    addButton('Remove tags', () => retagSelectedItems(tagInput.value, true));
+
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.title = 'Color';
+    colorInput.setAttribute('aria-label', 'Color');
+    colorInput.addEventListener('change', () => {
+        const color = colorInput.value;
+        editSelectedItems(item => { item.color = color; }, 'Recolor');
+    });
+    toolbar.appendChild(colorInput);
 
-    // Add start boundary overlay if start marker exists
-    if (timelineMarkers.start) {
-        const startYear = timelineMarkers.start.year;
-        const startSubtick = timelineMarkers.start.subtick;
-        const startValue = startYear + (startSubtick / granularity);
-        const startX = centerX + (startValue - focusYear) * pixelsPerSubtick * granularity + offsetPx;
-        
-        // Create overlay for area before start marker
-        const startOverlay = document.createElement('div');
-        startOverlay.className = 'timeline-boundary-overlay';
-        startOverlay.style.left = '0';
-        startOverlay.style.width = `${startX}px`;
-        container.appendChild(startOverlay);
+    const importanceSelect = document.createElement('select');
+    importanceSelect.setAttribute('aria-label', 'Importance');
+    importanceSelect.appendChild(new Option('Importance', ''));
+    for (let level = 1; level <= 10; level++) {
+        importanceSelect.appendChild(new Option(`${level}`, `${level}`));
     }
+    importanceSelect.addEventListener('change', () => {
+        const importance = parseInt(importanceSelect.value);
+        importanceSelect.value = '';
+        if (!importance) return;
+        editSelectedItems(item => { item.importance = importance; }, `Set importance ${importance} on`);
+    });
+    toolbar.appendChild(importanceSelect);
+
+    const notesLabel = document.createElement('label');
+    const notesCheckbox = document.createElement('input');
+    notesCheckbox.type = 'checkbox';
+    notesCheckbox.dataset.role = 'show-in-notes';
+    notesCheckbox.addEventListener('change', () => {
+        const showInNotes = notesCheckbox.checked ? 1 : 0;
+        editSelectedItems(item => { item.show_in_notes = showInNotes; }, showInNotes ? 'Show in notes' : 'Hide from notes');
+    });
+    notesLabel.appendChild(notesCheckbox);
+    notesLabel.appendChild(document.createTextNode(' In notes'));
+    toolbar.appendChild(notesLabel);
+
+    const shiftInput = addInput('+1y, -3s', 'Shift by');
+    const shift = () => {
+        const error = shiftSelectedItems(shiftInput.value);
+        shiftInput.title = error || '';
+        shiftInput.setAttribute('aria-invalid', error ? 'true' : 'false');
+        if (!error) shiftInput.value = '';
+    };
+    shiftInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') shift();
+    });
+    addButton('Shift', shift);
 
-    // Add end boundary overlay if end marker exists
-    if (timelineMarkers.end) {
-        const endYear = timelineMarkers.end.year;
-        const endSubtick = timelineMarkers.end.subtick;
-        const endValue = endYear + (endSubtick / granularity);
-        const endX = centerX + (endValue - focusYear) * pixelsPerSubtick * granularity + offsetPx;
-        
-        // Create overlay for area after end marker
-        const endOverlay = document.createElement('div');
-        endOverlay.className = 'timeline-boundary-overlay end';
-        endOverlay.style.left = `${endX}px`;
-        endOverlay.style.width = `${containerRect.width - endX}px`;
-        container.appendChild(endOverlay);
-    }
+    addButton('Delete', deleteSelectedItems);
+    addButton('Clear', clearSelection).title = 'Clear the selection (Esc)';
+
+    document.body.appendChild(toolbar);
+    return toolbar;
 }
 
 /**
- * Updates the hover marker position
- * @param {number} x - Mouse x position
- * @param {number} y - Mouse y position
- * 
- * How it works:
- * 1. Calculates year at position
- * 2. Updates marker position
- * 3. Updates marker label
- * 
- * Possible errors:
- * - Invalid coordinates
- * - DOM element not found
+ * Shows the toolbar while items are selected and updates its count and note state
  */
-function updateHoverMarker(x, y) {
-    const floatYear = calculateYearFromPosition(x);
-    const hRule = document.getElementById("h-rule");
-    const containerTop = document.getElementById("timeline-container").offsetTop;
-    const relativeY = y - containerTop;
-    
-    // Calculate the snapped position for the stick
-    const containerRect = container.getBoundingClientRect();
-    const centerX = containerRect.width / 2;
-    const snappedYear = Math.round(floatYear * timelineState.granularity) / timelineState.granularity;
-    const snappedX = centerX + (snappedYear - timelineState.focusYear) * timelineState.pixelsPerSubtick * timelineState.granularity + timelineState.offsetPx;
+function updateSelectionToolbar() {
+    const items = getSelectedItems();
+    let toolbar = document.getElementById('timeline-selection-toolbar');
+    if (!toolbar) {
+        if (items.length === 0) return;
+        toolbar = createSelectionToolbar();
+    }
+    toolbar.style.display = items.length > 0 ? 'flex' : 'none';
+    if (items.length === 0) return;
+
+    toolbar.querySelector('[data-role="count"]').textContent = `${items.length} selected`;
+    const shownInNotes = items.filter(item => item.show_in_notes == 1).length;
+    const notesCheckbox = toolbar.querySelector('[data-role="show-in-notes"]');
+    notesCheckbox.checked = shownInNotes === items.length;
+    notesCheckbox.indeterminate = shownInNotes > 0 && shownInNotes < items.length;
+}
 
-    // Store the snapped year and subtick for use on click
-    lastHoverYear = Math.floor(snappedYear);
-    lastHoverSubtick = Math.round((snappedYear - lastHoverYear) * timelineState.granularity);
+// Ctrl- and Shift-clicks select instead of opening the item; a plain click on the empty
+// timeline drops the selection instead of opening the item selector
+container.addEventListener('click', (e) => {
+    if (isDragging) return;
+    const element = e.target.closest(SELECTABLE_ITEM_SELECTOR);
+    if (!element) {
+        if (selectedItemIds.size > 0 && !e.target.closest('#item-selector')) {
+            e.stopImmediatePropagation();
+            clearSelection();
+        }
+        return;
+    }
+    if (!(e.ctrlKey || e.metaKey || e.shiftKey)) return;
+    e.stopImmediatePropagation();
+    e.preventDefault();
 
-    // Update the hover year/subyear info
-    const hoverInfo = `${lastHoverYear} .${lastHoverSubtick.toString().padStart(2, '0')}`;
-    const hoverDiv = document.getElementById('timeline-info-hover');
-    if (hoverDiv) hoverDiv.textContent = hoverInfo;
+    const item = getItemById(element.getAttribute('data-id'));
+    if (!item) return;
+    const id = String(item.id);
+    const anchor = selectionAnchorId && getItemById(selectionAnchorId);
+    if (e.shiftKey && anchor) {
+        selectItemRange(anchor, item, e.ctrlKey || e.metaKey);
+        return;
+    }
+    if (selectedItemIds.has(id)) {
+        selectedItemIds.delete(id);
+    } else {
+        selectedItemIds.add(id);
+    }
+    selectionAnchorId = id;
+    onSelectionChanged();
+}, true);
+
+// Escape clears the selection, Delete removes the selected items
+document.addEventListener('keydown', (e) => {
+    if (selectedItemIds.size === 0) return;
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    if (e.key === 'Escape' && !e.defaultPrevented && !rubberBand) {
+        clearSelection();
+    } else if (e.key === 'Delete') {
+        e.preventDefault();
+        deleteSelectedItems();
+    }
+});
 
-    hoverMarker.style.left = `${x}px`;
-    hoverMarkerStick.style.left = `${snappedX}px`;
-    if(relativeY < hRule.offsetTop){
-        hoverMarkerStick.classList.add('marker_stick_above');
-        hoverMarkerStick.classList.remove('marker_stick_below');
+window.clearTimelineSelection = clearSelection;
+window.getSelectedTimelineItems = getSelectedItems;
 
-        hoverMarker.classList.add('marker_above');
-        hoverMarker.classList.remove('marker_below');
-    }else{
-        hoverMarkerStick.classList.add('marker_stick_below');
-        hoverMarkerStick.classList.remove('marker_stick_above');
+// ===== Copy and Paste =====
+// Ctrl+C and Ctrl+X copy the selected items (or the focused one); Ctrl+V pastes them at the
+// date under the pointer, keeping their distances from each other. Whole items are copied,
+// so tags, pictures, characters and story references come along; pasted items are new items
+// and get their ids from 'addTimelineItem'.
+let itemClipboard = null; // { items: [{ copy, offset, length }] }, offset and length in subticks at copy time
 
-        hoverMarker.classList.add('marker_below');
-        hoverMarker.classList.remove('marker_above');
+/**
+ * Lists the items a copy or cut applies to: the selection, or else the focused item
+ * @returns {Array<Object>} Items, without timeline markers
+ */
+function getClipboardSourceItems() {
+    let items = getSelectedItems();
+    if (items.length === 0) {
+        const focused = document.activeElement && document.activeElement.closest && document.activeElement.closest(SELECTABLE_ITEM_SELECTOR);
+        const item = focused && container.contains(focused) && getItemById(focused.getAttribute('data-id'));
+        items = item ? [item] : [];
     }
+    return items.filter(item => item.type !== 'Timeline_start' && item.type !== 'Timeline_end');
+}
 
-    if(x < containerRect.width/2){
-        hoverMarker.classList.add('marker_left');
-        hoverMarker.classList.remove('marker_right');
-    }else{
-        hoverMarker.classList.add('marker_right');
-        hoverMarker.classList.remove('marker_left');
+/**
+ * Copies items to the timeline clipboard
+ * @returns {Array<Object>} Copied items (empty if there was nothing to copy)
+ */
+function copyTimelineItems() {
+    const items = getClipboardSourceItems();
+    if (items.length === 0) return [];
+
+    const origin = items
+        .map(item => TimelineDate.fromItem(item))
+        .reduce((earliest, date) => (date.isBefore(earliest) ? date : earliest));
+    itemClipboard = {
+        items: items.map(item => {
+            const start = TimelineDate.fromItem(item);
+            const hasEnd = item.end_year !== undefined && item.end_year !== null;
+            return {
+                copy: copyHistoryItem(item),
+                offset: start.diff(origin),
+                length: hasEnd ? TimelineDate.fromItem(item, true).diff(start) : null
+            };
+        })
+    };
+    return items;
+}
+
+/**
+ * Copies items to the timeline clipboard and deletes them
+ */
+function cutTimelineItems() {
+    const items = copyTimelineItems();
+    if (items.length === 0) return;
+
+    expectHistoryChange(`Cut ${items.length} item${items.length === 1 ? '' : 's'}`);
+    items.forEach(item => window.api.send('removeItem', item.id));
+    selectedItemIds.clear();
+    selectionAnchorId = null;
+    updateSelectionToolbar();
+    refreshTimeline();
+}
+
+/**
+ * Pastes the clipboard items so the earliest one starts at a date
+ * @param {TimelineDate} date - Date for the earliest pasted item
+ */
+function pasteTimelineItems(date) {
+    if (!itemClipboard) return;
+
+    const pasted = itemClipboard.items.map(({ copy, offset, length }) => {
+        const start = date.add(0, offset);
+        const item = copyHistoryItem(copy);
+        ITEM_ID_FIELDS.forEach(field => delete item[field]);
+        setItemDates(item, start, length !== null ? start.add(0, length) : null);
+        return item;
+    });
+
+    const outside = pasted.find(item => {
+        const start = TimelineDate.fromItem(item);
+        const hasEnd = item.end_year !== undefined && item.end_year !== null;
+        const end = hasEnd ? TimelineDate.fromItem(item, true) : start;
+        return !clampToMarkers(start).equals(start) || !clampToMarkers(end).equals(end);
+    });
+    if (outside) {
+        const message = `Can't paste at ${date.format('.', 2)}: "${outside.title || '(No Title)'}" would land past the timeline's start or end`;
+        if (window.showError) {
+            window.showError(message);
+        } else {
+            console.error(message);
+        }
+        return;
     }
 
-    hoverMarker.innerText = getHoverLabel(floatYear, timelineState.granularity);
-    hoverMarker.style.display = 'block';
-    hoverMarkerStick.style.display = 'block';
+    expectHistoryChange(`Paste ${pasted.length} item${pasted.length === 1 ? '' : 's'} at ${date.format('.', 2)}`);
+    pasted.forEach(item => window.api.send('addTimelineItem', item));
+    refreshTimeline();
 }
 
 /**
- * Checks if timeline position is before start marker and corrects if needed
- * @returns {boolean} True if position was corrected
+ * Reads the paste date: the date under the pointer, or the center when the pointer hasn't been over the timeline
+ * @returns {TimelineDate} Paste date
  */
-function checkAndCorrectStartBoundary() {
-    // If no start marker, no correction needed
-    if (!timelineMarkers.start) return false;
-
-    const containerRect = container.getBoundingClientRect();
-    const centerX = containerRect.width / 2;
-    const currentYear = calculateYearFromPosition(centerX + containerRect.left);
-    
-    // Convert start marker to comparable value
-    const startYear = timelineMarkers.start.year;
-    const startSubtick = timelineMarkers.start.subtick;
-    const startValue = startYear + (startSubtick / timelineState.granularity);
-    
-    // If current position is before start marker
-    if (currentYear < startValue) {
-        // Calculate offset needed to center on start marker
-        const targetX = centerX + (startValue - timelineState.focusYear) * timelineState.pixelsPerSubtick * timelineState.granularity;
-        timelineState.offsetPx = centerX - targetX;
-        return true;
+function getPasteDate() {
+    if (lastHoverYear === null || lastHoverSubtick === null) {
+        return getCenterDate();
     }
-    
-    return false;
+    return new TimelineDate(lastHoverYear, lastHoverSubtick);
 }
 
+// Once the pointer leaves the timeline, pasting falls back to the center of the view
+container.addEventListener('pointerleave', () => {
+    lastHoverYear = null;
+    lastHoverSubtick = null;
+});
+
+// Ctrl+C copies, Ctrl+X cuts, Ctrl+V pastes at the hover position
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+    // Text fields keep their own clipboard
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'c') {
+        if (copyTimelineItems().length === 0) return;
+    } else if (key === 'x') {
+        cutTimelineItems();
+    } else if (key === 'v') {
+        if (!itemClipboard) return;
+        pasteTimelineItems(getPasteDate());
+    } else {
+        return;
+    }
+    e.preventDefault();
+});
+
+window.copyTimelineItems = copyTimelineItems;
+window.cutTimelineItems = cutTimelineItems;
+window.pasteTimelineItems = pasteTimelineItems;
+
+// ===== Pointer Gestures =====
+// Mouse, pen and touch all arrive as pointer events:
+// - one pointer (left mouse button, pen or finger) drags the view, with inertia on release
+// - two fingers pinch to zoom around their midpoint
+// - a pen or finger held still opens the context menu
+// - taps are left to the browser's click event (item selector, item viewer, clusters)
+// - the middle mouse button starts the auto-scroll of middleMouseScrollStep
+const MOUSE_DRAG_THRESHOLD_PX = 3;
+const TOUCH_DRAG_THRESHOLD_PX = 8; // Fingers and pens wobble more than a mouse
+const LONG_PRESS_MS = 500;
+
+const activePointers = new Map(); // pointerId -> { x, y, startX, startY }
+let pinchGesture = null;          // { distance, pixelsPerSubtick, midX } while two fingers are down
+let longPressTimer = null;
+let longPressFired = false;       // Swallows the click that ends a long-press
+
 /**
- * Checks if timeline position is after end marker and corrects if needed
- * @returns {boolean} True if position was corrected
+ * Cancels a pending long-press
  */
-function checkAndCorrectEndBoundary() {
-    // If no end marker, no correction needed
-    if (!timelineMarkers.end) return false;
-
-    const containerRect = container.getBoundingClientRect();
-    const centerX = containerRect.width / 2;
-    const currentYear = calculateYearFromPosition(centerX + containerRect.left);
-    
-    // Convert end marker to comparable value
-    const endYear = timelineMarkers.end.year;
-    const endSubtick = timelineMarkers.end.subtick;
-    const endValue = endYear + (endSubtick / timelineState.granularity);
-    
-    // If current position is after end marker
-    if (currentYear > endValue) {
-        // Calculate offset needed to center on end marker
-        const targetX = centerX + (endValue - timelineState.focusYear) * timelineState.pixelsPerSubtick * timelineState.granularity;
-        timelineState.offsetPx = centerX - targetX;
-        return true;
+function cancelLongPress() {
+    if (longPressTimer) {
+        clearTimeout(longPressTimer);
+        longPressTimer = null;
     }
-    
-    return false;
 }
 
-function middleMouseScrollStep() {
-    if (!isMiddleMouseDragging) return;
+/**
+ * Reads the distance and midpoint of the first two active pointers
+ * @returns {{distance: number, midX: number}} Pinch geometry
+ */
+function getPinchGeometry() {
+    const [a, b] = Array.from(activePointers.values());
+    return {
+        distance: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+        midX: (a.x + b.x) / 2
+    };
+}
 
-    // Set quality control state
-    isScrolling = true;
-    currentQuality = 0.5; // Set stable quality during navigation
-    
-    // Clear any existing timeout
-    if (scrollTimeout) {
-        clearTimeout(scrollTimeout);
+/**
+ * Turns the gesture into a pinch once a second finger touches down
+ */
+function startPinch() {
+    const { distance, midX } = getPinchGeometry();
+    pinchGesture = { distance, pixelsPerSubtick: timelineState.pixelsPerSubtick, midX };
+    // The first finger's pan gives way to the pinch; isDragging keeps the lift from clicking
+    mouseDown = false;
+    isDragging = true;
+    dragSamples = [];
+}
+
+/**
+ * Pans with the pinch midpoint and zooms by the change in finger distance
+ */
+function updatePinch() {
+    const { distance, midX } = getPinchGeometry();
+    timelineState.offsetPx += midX - pinchGesture.midX;
+    pinchGesture.midX = midX;
+
+    const previousZoom = timelineState.pixelsPerSubtick;
+    zoomAt(pinchGesture.pixelsPerSubtick * distance / pinchGesture.distance, midX);
+    if (timelineState.pixelsPerSubtick === previousZoom) {
+        // zoomAt doesn't render when the zoom is unchanged (or at its limit)
+        checkAndCorrectStartBoundary();
+        checkAndCorrectEndBoundary();
+        renderTimeline();
     }
-    
-    // Set timeout to detect when navigation ends
-    scrollTimeout = setTimeout(() => {
-        isScrolling = false;
-        currentQuality = 1.0; // Reset to full quality
-    }, 150); // 150ms debounce
+}
 
-    const dx = middleMouseCurrentX - middleMouseStartX;
-    // Speed factor: px per second, scaled down for smoothness
-    const speed = dx * -5; // adjust 0.5 for desired sensitivity
-    timelineState.offsetPx = timelineState.offsetPx + speed / 60; // 60fps
-    
-    // Check and correct position if needed
-    if (checkAndCorrectStartBoundary() || checkAndCorrectEndBoundary()) {
-        // If position was corrected, stop the animation
+/**
+ * Ends a pointer's part in the current gesture
+ * @param {PointerEvent} e - pointerup or pointercancel event
+ */
+function endPointer(e) {
+    if (isMiddleMouseDragging && e.pointerType === 'mouse' && e.button === 1) {
         isMiddleMouseDragging = false;
         container.style.cursor = '';
         if (middleMouseScrollAnim) {
             cancelAnimationFrame(middleMouseScrollAnim);
             middleMouseScrollAnim = null;
         }
+        if (container.hasPointerCapture(e.pointerId)) {
+            container.releasePointerCapture(e.pointerId);
+        }
+        return;
     }
-    
-    renderTimeline();
-    middleMouseScrollAnim = requestAnimationFrame(middleMouseScrollStep);
-}
+    if (!activePointers.has(e.pointerId)) return;
 
-container.addEventListener("mousemove", (e) => {
-    if (isMiddleMouseDragging) {
-        middleMouseCurrentX = e.clientX;
-        // Don't update offset here, let animation handle it
+    activePointers.delete(e.pointerId);
+    cancelLongPress();
+    if (itemDrag && itemDrag.pointerId === e.pointerId) {
+        finishItemDrag(e.type === 'pointerup');
         return;
     }
-    if (mouseDown) {
-        const dx = e.clientX - dragStartX;
-        // Only set isDragging if movement exceeds threshold
-        if (Math.abs(dx) > 3) {
-            isDragging = true;
-            // Close the item selector if it's open
-            closeItemSelector();
-        }
-        if (isDragging) {
-            timelineState.offsetPx = initialOffset + dx;
-            // Check and correct position if needed
-            if (checkAndCorrectStartBoundary() || checkAndCorrectEndBoundary()) {
-                // If position was corrected, stop dragging
-                isDragging = false;
-                mouseDown = false;
-                dragStartX = null;
-            }
-            renderTimeline();
-        }
+    if (rangeResize && rangeResize.pointerId === e.pointerId) {
+        finishRangeResize(e.type === 'pointerup');
+        return;
+    }
+    if (rubberBand && rubberBand.pointerId === e.pointerId) {
+        finishRubberBand(e.type === 'pointerup');
+        return;
+    }
+    if (container.hasPointerCapture(e.pointerId)) {
+        container.releasePointerCapture(e.pointerId);
     }
-    updateHoverMarker(e.clientX, e.clientY);
-    lastMouseX = e.clientX;
-});
 
-container.addEventListener("mousedown", (e) => {
-    if (e.button === 0) {
-        mouseDown = true;
-        dragStartX = e.clientX;
-        initialOffset = timelineState.offsetPx;
-        // Only set pointer capture if it's a pointer event
-        if (e instanceof PointerEvent) {
-            container.setPointerCapture(e.pointerId);
+    if (pinchGesture) {
+        // The remaining finger does nothing until it is lifted too
+        if (activePointers.size < 2) pinchGesture = null;
+        return;
+    }
+    if (mouseDown) {
+        mouseDown = false;
+        dragStartX = null;
+        if (isDragging && e.type === 'pointerup') {
+            releaseDrag();
         }
     }
+}
+
+container.style.touchAction = 'none'; // The gestures below replace browser panning and zooming
+
+container.addEventListener('pointerdown', (e) => {
+    longPressFired = false;
+
     // Middle mouse drag start
-    if (e.button === 1) {
+    if (e.pointerType === 'mouse' && e.button === 1) {
         isMiddleMouseDragging = true;
         middleMouseStartX = e.clientX;
         middleMouseCurrentX = e.clientX;
         middleMouseStartOffset = timelineState.offsetPx;
         container.style.cursor = 'grabbing';
         middleMouseScrollAnim = requestAnimationFrame(middleMouseScrollStep);
-        // Only set pointer capture if it's a pointer event
-        if (e instanceof PointerEvent) {
-            container.setPointerCapture(e.pointerId);
-        }
+        container.setPointerCapture(e.pointerId);
         e.preventDefault();
+        return;
     }
-});
+    // Right button, pen barrel buttons and erasers don't pan
+    if (e.button !== 0) return;
 
-// Add pointermove event listener for handling screen wrapping
-container.addEventListener("pointermove", (e) => {
-    if (!mouseDown && !isMiddleMouseDragging) return;
-
-    const screenWidth = window.innerWidth;
-    const currentX = e.clientX;
-
-    // Handle screen wrapping for left button drag
-    if (mouseDown && e.button === 0) {
-        if (currentX <= 0) {
-            // Wrap to right side
-            const newX = screenWidth - 1;
-            dragStartX = newX;
-            initialOffset = timelineState.offsetPx;
-            e.target.setPointerCapture(e.pointerId);
-        } else if (currentX >= screenWidth) {
-            // Wrap to left side
-            const newX = 1;
-            dragStartX = newX;
-            initialOffset = timelineState.offsetPx;
-            e.target.setPointerCapture(e.pointerId);
+    activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY });
+    if (activePointers.size === 2 && e.pointerType === 'touch') {
+        cancelLongPress();
+        startPinch();
+        return;
+    }
+    if (activePointers.size > 1) return;
+
+    stopInertia();
+    isDragging = false; // A pinch may end without the click that normally clears this
+
+    // Shift-drag on the empty timeline draws a selection band; Ctrl/Shift on an item leaves it to the click
+    const isSelecting = e.shiftKey || e.ctrlKey || e.metaKey;
+    const selectableItem = e.target.closest(SELECTABLE_ITEM_SELECTOR);
+    if (isSelecting && e.pointerType !== 'touch') {
+        if (selectableItem) return;
+        if (e.shiftKey) {
+            beginRubberBand(e);
+            return;
         }
     }
+
+    // Mouse and pen re-date items; a finger on an item pans like anywhere else
+    const rangeHandle = e.pointerType !== 'touch' && e.target.closest(RANGE_HANDLE_SELECTOR);
+    if (rangeHandle && beginRangeResize(rangeHandle, e)) return;
+    const draggableItem = e.pointerType !== 'touch' && e.target.closest(ITEM_DRAG_SELECTOR);
+    if (draggableItem && beginItemDrag(draggableItem, e)) return;
+    dragSamples = [];
+    mouseDown = true;
+    dragStartX = e.clientX;
+    initialOffset = timelineState.offsetPx;
+
+    if (e.pointerType !== 'mouse') {
+        const target = e.target;
+        longPressTimer = setTimeout(() => {
+            longPressTimer = null;
+            longPressFired = true;
+            mouseDown = false;
+            openTimelineContextMenu(target, e.clientX, e.clientY);
+        }, LONG_PRESS_MS);
+    }
 });
 
-container.addEventListener("mouseup", (e) => {
-    if (isMiddleMouseDragging && e.button === 1) {
-        isMiddleMouseDragging = false;
-        container.style.cursor = '';
-        if (middleMouseScrollAnim) {
-            cancelAnimationFrame(middleMouseScrollAnim);
-            middleMouseScrollAnim = null;
-        }
-        // Only release pointer capture if it's a pointer event
-        if (e instanceof PointerEvent) {
-            container.releasePointerCapture(e.pointerId);
-        }
+container.addEventListener('pointermove', (e) => {
+    if (isMiddleMouseDragging) {
+        middleMouseCurrentX = e.clientX;
+        // Don't update offset here, let animation handle it
         return;
     }
-    if (e.button === 0) {
-        mouseDown = false;
-        // Check if we clicked on an item box
-        if (e.target.closest('.timeline-item-box')) {
-            return; // Don't open add item window if clicking on an item
+
+    const pointer = activePointers.get(e.pointerId);
+    if (pointer) {
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+    }
+    if (pinchGesture && activePointers.size >= 2) {
+        updatePinch();
+        return;
+    }
+    if (itemDrag && itemDrag.pointerId === e.pointerId) {
+        updateItemDrag(e);
+        return;
+    }
+    if (rangeResize && rangeResize.pointerId === e.pointerId) {
+        updateRangeResize(e);
+        return;
+    }
+    if (rubberBand && rubberBand.pointerId === e.pointerId) {
+        updateRubberBand(e);
+        return;
+    }
+
+    if (mouseDown && pointer) {
+        const threshold = e.pointerType === 'mouse' ? MOUSE_DRAG_THRESHOLD_PX : TOUCH_DRAG_THRESHOLD_PX;
+        if (!isDragging && Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY) > threshold) {
+            isDragging = true;
+            cancelLongPress();
+            // Close the item selector if it's open
+            closeItemSelector();
+            // Captured only once dragging, so a plain click still reaches the element under it
+            container.setPointerCapture(e.pointerId);
         }
-        dragStartX = null;
-        // Only release pointer capture if it's a pointer event
-        if (e instanceof PointerEvent) {
-            container.releasePointerCapture(e.pointerId);
+        if (isDragging) {
+            // Past a marker the view stretches elastically and bounces back on release
+            timelineState.offsetPx = applyElasticOffset(initialOffset + (e.clientX - dragStartX));
+            recordDragSample();
+            renderTimeline();
         }
     }
+
+    // Fingers don't hover
+    if (e.pointerType !== 'touch') {
+        updateHoverMarker(e.clientX, e.clientY);
+    }
+    lastMouseX = e.clientX;
 });
 
+container.addEventListener('pointerup', endPointer);
+container.addEventListener('pointercancel', endPointer);
+
+// A long-press already opened the menu; don't let the lift also click
+container.addEventListener('click', (e) => {
+    if (!longPressFired) return;
+    longPressFired = false;
+    e.stopImmediatePropagation();
+    e.preventDefault();
+}, true);
+
 container.addEventListener("mouseleave", () => {
     if (isMiddleMouseDragging) {
         isMiddleMouseDragging = false;
@@ -1928,9 +5364,19 @@ container.addEventListener("mouseleave", () => {
 });
 
 container.addEventListener("wheel", (event) => {
+    // Ctrl+wheel and trackpad pinch (reported as a ctrl wheel event) zoom instead of scrolling
+    if (event.ctrlKey) {
+        event.preventDefault();
+        // Normalize line/page based deltas to pixels so mice and trackpads zoom at a similar rate
+        const deltaScale = event.deltaMode === 1 ? 16 : (event.deltaMode === 2 ? container.clientHeight : 1);
+        const factor = Math.exp(-event.deltaY * deltaScale * 0.002);
+        zoomAt(timelineState.pixelsPerSubtick * factor, event.clientX);
+        return;
+    }
+
     if(!isPositionWholeYear()){
         const nearestYear = getNearestYearFromPosition(null, event.deltaY > 0 ? -1 : 1);
-        jumpToYear(nearestYear);
+        jumpToYear(nearestYear, false);
     } else {
         if(event.deltaY > 0){
             timelineState.offsetPx += timelineState.pixelsPerSubtick * timelineState.granularity;
@@ -1944,88 +5390,155 @@ container.addEventListener("wheel", (event) => {
     checkAndCorrectEndBoundary();
     
     renderTimeline();
-});
+}, { passive: false });
+
+// ===== Animated Navigation =====
+const NAVIGATION_MIN_DURATION_MS = 250;
+const NAVIGATION_MAX_DURATION_MS = 1200;
+const LONG_JUMP_VIEW_WIDTHS = 3; // Jumps further than this many view widths zoom out on the way
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+// Running navigation animation ({ frame, startZoom }), or null
+let navigationAnimation = null;
+
+// Keys that move the view (see the container keydown handler), plus Escape
+const NAVIGATION_CANCEL_KEYS = new Set(['ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'Home', 'End', 'Escape']);
+
+/**
+ * @param {number} t - Progress from 0 to 1
+ * @returns {number} Eased progress
+ */
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/**
+ * Whether jumps are animated: on unless the setting or the system asks for reduced motion
+ * @returns {boolean} True to animate
+ */
+function shouldAnimateNavigation() {
+    return timelineState.animateNavigation && !(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+/**
+ * Stops a running jump animation where it is, e.g. when the user takes over
+ *
+ * A long jump may be zoomed out mid-flight, so the zoom level it started at is restored.
+ */
+function cancelNavigationAnimation() {
+    if (!navigationAnimation) return;
+    cancelAnimationFrame(navigationAnimation.frame);
+    timelineState.pixelsPerSubtick = navigationAnimation.startZoom;
+    navigationAnimation = null;
+    isScrolling = false;
+    renderTimeline();
+}
+
+/**
+ * Moves the view to a year, tweening the viewport unless animation is off
+ * @param {number} targetYear - Fractional year to center on (already clamped to the markers)
+ * @param {Function} finish - Applies the exact final state and renders
+ * @param {boolean} animate - False to jump immediately
+ * 
+ * How it works:
+ * 1. Duration grows with the distance in view widths, capped at NAVIGATION_MAX_DURATION_MS
+ * 2. The center year follows an ease-in-out curve
+ * 3. Jumps longer than LONG_JUMP_VIEW_WIDTHS zoom out until both ends fit, then back in
+ * 4. The last frame hands over to finish() so the result matches an immediate jump
+ */
+function navigateTo(targetYear, finish, animate = true) {
+    cancelNavigationAnimation();
+    stopInertia();
+
+    const containerRect = container.getBoundingClientRect();
+    const width = containerRect.width || 1;
+    const startYear = calculateYearFromPosition(containerRect.left + width / 2);
+    const startZoom = timelineState.pixelsPerSubtick;
+    const distanceYears = Math.abs(targetYear - startYear);
+    const viewWidths = distanceYears * startZoom * timelineState.granularity / width;
+
+    if (!animate || !shouldAnimateNavigation() || viewWidths * width < 1) {
+        finish();
+        return;
+    }
+
+    const duration = Math.min(NAVIGATION_MAX_DURATION_MS, NAVIGATION_MIN_DURATION_MS + 250 * Math.log2(1 + viewWidths));
+    let zoomOutDepth = 0;
+    if (viewWidths > LONG_JUMP_VIEW_WIDTHS) {
+        const peakZoom = clampPixelsPerSubtick((width * 0.8) / (distanceYears * timelineState.granularity));
+        zoomOutDepth = Math.log(startZoom) - Math.log(peakZoom);
+        // Clusters regroup while zoomed out
+        expandedClusterItemIds.clear();
+    }
+
+    const startTime = performance.now();
+    isScrolling = true;
+    const step = (now) => {
+        const t = Math.min(1, (now - startTime) / duration);
+        if (t >= 1) {
+            navigationAnimation = null;
+            isScrolling = false;
+            timelineState.pixelsPerSubtick = startZoom;
+            finish();
+            return;
+        }
+        timelineState.focusYear = startYear + (targetYear - startYear) * easeInOutCubic(t);
+        timelineState.offsetPx = 0;
+        timelineState.pixelsPerSubtick = Math.exp(Math.log(startZoom) - zoomOutDepth * Math.sin(Math.PI * t));
+        renderTimeline();
+        navigationAnimation.frame = requestAnimationFrame(step);
+    };
+    navigationAnimation = { frame: requestAnimationFrame(step), startZoom };
+}
+
+// Any direct interaction stops a jump in progress
+container.addEventListener('pointerdown', cancelNavigationAnimation, true);
+container.addEventListener('wheel', cancelNavigationAnimation, { capture: true, passive: true });
+document.addEventListener('keydown', (e) => {
+    if (NAVIGATION_CANCEL_KEYS.has(e.key)) cancelNavigationAnimation();
+}, true);
 
 /**
  * Jumps to a specific year
  * @param {number} year - Year to jump to
+ * @param {boolean} animate - False to jump without animating (see navigateTo)
  * 
  * How it works:
- * 1. Set quality control state
- * 2. Clear any existing timeout
- * 3. Set timeout to detect when navigation ends
- * 4. Check if there's a start marker and if target is before it
- * 5. Updates focus year
- * 6. Resets offset
- * 7. Re-renders timeline
+ * 1. Check if there's a start marker and if target is before it
+ * 2. Check if there's an end marker and if target is after it
+ * 3. Animates to the year, then sets focus year and resets offset
+ * 4. Re-renders timeline
  * 
  * Possible errors:
  * - Invalid year
  * - Render failure
  */
-function jumpToYear(year) {
-    // Set quality control state
-    isScrolling = true;
-    currentQuality = 0.1; // Start with very low quality for initial jump
-    
-    // Clear any existing timeout
-    if (scrollTimeout) {
-        clearTimeout(scrollTimeout);
-    }
-
-    scrollTimeout = setTimeout(() => {
-        currentQuality = 1; // Reset to full quality
-    }, 500);
-
+function jumpToYear(year, animate = true) {
     // Check if there's a start marker and if target is before it
     if (timelineMarkers.start) {
-        const startYear = timelineMarkers.start.year;
-        const startSubtick = timelineMarkers.start.subtick;
-        
-        // Convert to comparable values (year.subtick format)
-        const targetValue = year;
-        const startValue = startYear + (startSubtick / timelineState.granularity);
-        
-        // If target is before start marker, reroute to start marker
-        if (targetValue < startValue) {
-            year = startYear;
+        const startValue = TimelineDate.fromMarker(timelineMarkers.start).toFractionalYear();
+
+        // If target is before start marker, reroute to start marker (including its subtick)
+        if (year < startValue) {
+            year = startValue;
         }
     }
 
     // Check if there's an end marker and if target is after it
     if (timelineMarkers.end) {
-        const endYear = timelineMarkers.end.year;
-        const endSubtick = timelineMarkers.end.subtick;
-        
-        // Convert to comparable values (year.subtick format)
-        const targetValue = year;
-        const endValue = endYear + (endSubtick / timelineState.granularity);
-        
-        // If target is after end marker, reroute to end marker
-        if (targetValue > endValue) {
-            year = endYear;
-        }
-    }
-    
-    // Update state
-    timelineState.focusYear = year;
-    timelineState.offsetPx = 0;
+        const endValue = TimelineDate.fromMarker(timelineMarkers.end).toFractionalYear();
 
-    // Progressive rendering sequence
-    let qualitySteps = [0.2, 0.4, 0.6, 0.8, 1.0];
-    let currentStep = 0;
-
-    function renderStep() {
-        if (currentStep < qualitySteps.length) {
-            currentQuality = qualitySteps[currentStep];
-            renderTimeline();
-            currentStep++;
-            requestAnimationFrame(renderStep);
+        // If target is after end marker, reroute to end marker (including its subtick)
+        if (year > endValue) {
+            year = endValue;
         }
     }
 
-    // Start progressive rendering
-    requestAnimationFrame(renderStep);
+    navigateTo(year, () => {
+        timelineState.focusYear = year;
+        timelineState.offsetPx = 0;
+        renderTimeline();
+    }, animate);
 }
 
 /**
@@ -2063,6 +5576,56 @@ function scrollBy(years) {
     renderTimeline();
 }
 
+/**
+ * Clamps a zoom level to the configured min/max zoom
+ * @param {number} pixelsPerSubtick - Requested pixels per subtick
+ * @returns {number} Pixels per subtick within the allowed range
+ */
+function clampPixelsPerSubtick(pixelsPerSubtick) {
+    return Math.min(timelineState.maxPixelsPerSubtick, Math.max(timelineState.minPixelsPerSubtick, pixelsPerSubtick));
+}
+
+/**
+ * Zooms the timeline while keeping the date under an anchor position fixed
+ * @param {number} pixelsPerSubtick - New zoom level in pixels per subtick
+ * @param {number|null} anchorX - Client x position to keep fixed (null for center)
+ * 
+ * How it works:
+ * 1. Reads the year currently under the anchor
+ * 2. Applies the clamped zoom level
+ * 3. Adjusts the offset so the same year is back under the anchor
+ * 4. Re-renders timeline
+ * 
+ * Possible errors:
+ * - Invalid zoom level
+ * - Render failure
+ */
+function zoomAt(pixelsPerSubtick, anchorX = null) {
+    const containerRect = container.getBoundingClientRect();
+    if (anchorX === null) {
+        anchorX = containerRect.left + containerRect.width / 2;
+    }
+
+    const newPixelsPerSubtick = clampPixelsPerSubtick(pixelsPerSubtick);
+    if (!isFinite(newPixelsPerSubtick) || newPixelsPerSubtick === timelineState.pixelsPerSubtick) return;
+
+    // Year under the anchor before zooming
+    const anchorYear = calculateYearFromPosition(anchorX);
+
+    timelineState.pixelsPerSubtick = newPixelsPerSubtick;
+    // Clusters regroup at the new zoom level
+    expandedClusterItemIds.clear();
+
+    // Shift the offset so anchorYear lands on anchorX again
+    const anchorPosition = calculatePositionFromYear(anchorYear);
+    timelineState.offsetPx += (anchorX - containerRect.left) - anchorPosition;
+
+    checkAndCorrectStartBoundary();
+    checkAndCorrectEndBoundary();
+
+    renderTimeline();
+}
+
 /**
  * Sets initial timeline settings
  * @param {Object} settings - Settings object
@@ -2070,6 +5633,16 @@ function scrollBy(years) {
  * @param {number} settings.granularity - Timeline granularity
  * @param {Array} settings.items - Timeline items
  * @param {number} settings.pixelsPerSubtick - Pixels per subtick
+ * @param {number} settings.minPixelsPerSubtick - Lowest allowed zoom level
+ * @param {number} settings.maxPixelsPerSubtick - Highest allowed zoom level
+ * @param {number} settings.customScale - App custom scale factor applied to the canvas
+ * @param {boolean} settings.clusterItems - Whether dense point items collapse into cluster badges
+ * @param {Object|null} settings.calendar - Calendar definition with subtick names, groups and year suffix
+ * @param {Object} settings.yearDisplay - Year display options (see yearFormat)
+ * @param {Object|null} settings.secondaryAxis - Secondary calendar axis definition
+ * @param {boolean} settings.animateNavigation - Animate jumps; false for reduced motion
+ * @param {string} settings.filterDisplay - 'hide' or 'dim' items that don't match the filter
+ * @param {Array<{id: string, title: string}>} settings.stories - Stories, to name them in the filter
  * 
  * How it works:
  * 1. Updates timeline state
@@ -2080,7 +5653,7 @@ function scrollBy(years) {
  * - Invalid settings
  * - Render failure
  */
-function setInitialSettings({ focusYear, granularity, items, pixelsPerSubtick = 10, displayRadius = 10 }) {
+function setInitialSettings({ focusYear, granularity, items, pixelsPerSubtick = 10, displayRadius = 10, minPixelsPerSubtick = 0.001, maxPixelsPerSubtick = 500, customScale = 1, clusterItems = true, calendar = null, yearDisplay = {}, secondaryAxis = null, animateNavigation = true, filterDisplay = 'hide', stories = [] }) {
     // Assign stable indices to regular items
     let regularItemIndex = 0;
     items.forEach(item => {
@@ -2089,12 +5662,28 @@ function setInitialSettings({ focusYear, granularity, items, pixelsPerSubtick =
         }
     });
 
+    cancelNavigationAnimation();
     timelineState.focusYear = focusYear;
     timelineState.granularity = granularity;
+    applyTimelineCalendar(calendar);
+    setYearFormat(yearDisplay);
+    timelineState.secondaryAxis = validateSecondaryAxis(secondaryAxis);
     timelineState.items = items;
-    timelineState.pixelsPerSubtick = pixelsPerSubtick;
+    resetEditHistory(items);
+    resetRenderedItemElements();
+    timelineState.minPixelsPerSubtick = minPixelsPerSubtick;
+    timelineState.maxPixelsPerSubtick = maxPixelsPerSubtick;
+    timelineState.pixelsPerSubtick = clampPixelsPerSubtick(pixelsPerSubtick);
     timelineState.offsetPx = 0;
     timelineState.displayRadius = displayRadius;
+    timelineState.clusterItems = clusterItems;
+    timelineState.animateNavigation = animateNavigation;
+    filterMode = filterDisplay === 'dim' ? 'dim' : 'hide';
+    storyTitles.clear();
+    stories.forEach(story => storyTitles.set(String(story.id), story.title));
+    expandedClusterItemIds.clear();
+    canvas.setCustomScale(customScale);
+    rebuildItemIndex();
     // Step 1: Check for timeline markers when timeline loads
     checkTimelineMarkers();
     
@@ -2120,14 +5709,14 @@ function checkTimelineMarkers() {
         if (item.type === 'Timeline_start') {
             timelineMarkers.start = {
                 year: item.year,
-                subtick: item.subtick
+                subtick: getItemSubtick(item)
             };
         }
         // Check for type 9 (Timeline_end)
         else if (item.type === 'Timeline_end') {
             timelineMarkers.end = {
                 year: item.year,
-                subtick: item.subtick
+                subtick: getItemSubtick(item)
             };
         }
     });
@@ -2182,7 +5771,7 @@ function findClosestNote(centerX) {
     let closestDistance = Infinity;
 
     noteItems.forEach(note => {
-        const noteX = calculatePositionFromYear(parseFloat(note.year || note.date || 0) + (parseInt(note.subtick || 0) / timelineState.granularity));
+        const noteX = calculatePositionFromYear(TimelineDate.fromItem(note).toFractionalYear());
         const distance = Math.abs(centerX - noteX);
         
         if (distance < closestDistance) {
@@ -2220,7 +5809,7 @@ function findClosestItem(centerX) {
     let closestDistance = Infinity;
 
     regularItems.forEach(item => {
-        const itemX = calculatePositionFromYear(parseFloat(item.year || item.date || 0) + (parseInt(item.subtick || 0) / timelineState.granularity));
+        const itemX = calculatePositionFromYear(TimelineDate.fromItem(item).toFractionalYear());
         const distance = Math.abs(centerX - itemX);
         
         if (distance < closestDistance) {
@@ -2237,28 +5826,8 @@ function findClosestItem(centerX) {
 }
 */
 function findVisibleAgesAndPeriods(centerX, centerYear) {
-    // Get all items that could be visible
-    const visibleItems = timelineState.items.filter(item => {
-        if (!item || !item.type) return false;
-        
-        // Only look at ages and periods
-        const type = item.type.toLowerCase();
-        if (type !== 'age' && type !== 'period') return false;
-
-        // Calculate start and end positions
-        const startYear = parseFloat(item.year || item.date || 0);
-        const startSubtick = parseInt(item.subtick || 0);
-        const endYear = parseFloat(item.end_year !== undefined && item.end_year !== null ? item.end_year : (item.year || 0));
-        const endSubtick = parseInt(item.end_subtick !== undefined && item.end_subtick !== null ? item.end_subtick : (item.subtick || 0));
-        
-        // Calculate exact positions
-        const startPosition = startYear + (startSubtick / timelineState.granularity);
-        const endPosition = endYear + (endSubtick / timelineState.granularity);
-        
-        const isVisible = centerYear >= startPosition && centerYear <= endPosition;
-        
-        return isVisible;
-    });
+    // Ages and periods that contain the center year
+    const visibleItems = rangeItemIndex.query(centerYear, centerYear).filter(isItemShown);
 
     // Separate ages and periods
     const ages = visibleItems.filter(item => item.type.toLowerCase() === 'age');
@@ -2271,9 +5840,9 @@ function findVisibleAgesAndPeriods(centerX, centerYear) {
 // Add this function near the other utility functions
 function openEditAgeOrPeriod(item) {
     const year = parseFloat(item.year || item.date || 0);
-    const subtick = parseInt(item.subtick || 0);
+    const subtick = getItemSubtick(item);
     const endYear = parseFloat(item.end_year !== undefined && item.end_year !== null ? item.end_year : (item.year || 0));
-    const endSubtick = parseInt(item.end_subtick !== undefined && item.end_subtick !== null ? item.end_subtick : (item.subtick || 0));
+    const endSubtick = getItemSubtick(item, true);
     
     const itemData = {
         id: item.id,
@@ -2467,64 +6036,96 @@ function handleContextMenuClick(type) {
     }
 }
 
-// Add context menu event listener to the timeline container
-container.addEventListener('contextmenu', function(e) {
-    e.preventDefault();
-    
+/**
+ * Shows the menu of a timeline start or end marker
+ * @param {string} edge - 'start' or 'end'
+ * @param {number} x - Client x position
+ * @param {number} y - Client y position
+ */
+function showMarkerContextMenu(edge, x, y) {
+    const marker = timelineMarkers[edge];
+    if (!marker) return;
+
+    // Clear existing menu items
+    clearContextMenuItems();
+    // Add remove option
+    addContextMenuItem({
+        type: `remove_${edge}`,
+        icon: 'ri-delete-bin-line',
+        label: `Remove timeline ${edge}`,
+        action: () => (edge === 'start' ? removeTimelineStart() : removeTimelineEnd())
+    });
+    // Show context menu
+    showContextMenu(x, y, marker.year, marker.subtick);
+}
+
+/**
+ * Opens the item menu for an item element, or the add-item menu for an empty spot
+ * @param {HTMLElement} target - Element under the pointer (or the focused item)
+ * @param {number} clientX - Client x position
+ * @param {number} clientY - Client y position
+ * @param {boolean} fromKeyboard - Opened with the context-menu key, so place it by the item and focus it
+ */
+function openTimelineContextMenu(target, clientX, clientY, fromKeyboard = false) {
     // If context menu is already open, close it and return
     if (contextMenu && contextMenu.style.display === 'block') {
         hideContextMenu();
         return;
     }
     
-    // Don't show context menu if clicking on an existing item
-    if (e.target.closest('.timeline-item-box, .timeline-age-item, .timeline-period-item')) {
+    // Marker boxes offer to remove the marker
+    const markerBox = target.closest('[data-type="Timeline_start"], [data-type="Timeline_end"]');
+    if (markerBox) {
+        showMarkerContextMenu(markerBox.dataset.type === 'Timeline_start' ? 'start' : 'end', clientX, clientY);
+        return;
+    }
+
+    // Items get their own menu, from a right-click, a long-press or the context-menu key on a focused item
+    const itemElement = target.closest(FOCUSABLE_ITEM_SELECTOR);
+    if (itemElement) {
+        if (itemElement.matches(CLUSTER_BADGE_SELECTOR)) return;
+        const rect = itemElement.getBoundingClientRect();
+        showItemContextMenu(itemElement, fromKeyboard ? rect.left : clientX, fromKeyboard ? rect.bottom : clientY);
+        if (fromKeyboard) {
+            const firstButton = contextMenu.querySelector('.context-menu-item:not(.disabled)');
+            if (firstButton) firstButton.focus();
+        }
         return;
     }
     
     const rect = container.getBoundingClientRect();
-    const x = e.clientX - rect.left;
+    const x = clientX - rect.left;
     
     // Calculate year and subtick using the same logic as the hover marker
     const floatYear = calculateYearFromPosition(x);
-    const step = 1 / timelineState.granularity;
-    const snapped = Math.round(floatYear / step) * step;
-    
-    let year, subtick;
-    if (snapped >= 0) {
-        year = Math.floor(snapped);
-        subtick = Math.round((snapped - year) * timelineState.granularity);
-    } else {
-        year = Math.ceil(snapped);
-        subtick = Math.round((snapped - year) * timelineState.granularity);
-    }
-    
-    subtick = Math.abs(subtick);
-    
-    // Clamp subtick to [0, granularity-1]
-    if (subtick >= timelineState.granularity) {
-        year += (snapped >= 0 ? 1 : -1);
-        subtick = 0;
-    }
+    const date = TimelineDate.fromFractionalYear(floatYear);
+    const year = date.year;
+    const subtick = date.subtick;
 
     // Check if position is within timeline boundaries
-    const position = year + (subtick / timelineState.granularity);
-    
-    if (timelineMarkers.start) {
-        const startValue = timelineMarkers.start.year + (timelineMarkers.start.subtick / timelineState.granularity);
-        if (position < startValue) {
-            return; // Don't show menu if before start marker
-        }
+    if (timelineMarkers.start && date.isBefore(TimelineDate.fromMarker(timelineMarkers.start))) {
+        return; // Don't show menu if before start marker
     }
-    
-    if (timelineMarkers.end) {
-        const endValue = timelineMarkers.end.year + (timelineMarkers.end.subtick / timelineState.granularity);
-        if (position > endValue) {
-            return; // Don't show menu if after end marker
-        }
+
+    if (timelineMarkers.end && date.isAfter(TimelineDate.fromMarker(timelineMarkers.end))) {
+        return; // Don't show menu if after end marker
     }
     
-    showContextMenu(e.clientX, e.clientY, year, subtick);
+    // Item and marker menus replace the entries, so bring back the defaults
+    clearContextMenuItems();
+    initializeDefaultContextMenu();
+    showContextMenu(clientX, clientY, year, subtick);
+}
+
+// Add context menu event listener to the timeline container
+container.addEventListener('contextmenu', function(e) {
+    e.preventDefault();
+    // Our own long-press already opened the menu for this touch
+    if (longPressFired) return;
+    cancelLongPress();
+    // Keyboard-triggered menus have no pointer position
+    const fromKeyboard = e.clientX === 0 && e.clientY === 0;
+    openTimelineContextMenu(e.target, e.clientX, e.clientY, fromKeyboard);
 });
 
 // Close context menu when clicking outside
@@ -2542,23 +6143,17 @@ function setTimelineStart() {
 
     // Check if there's an end marker and validate position
     if (timelineMarkers.end) {
-        const endYear = timelineMarkers.end.year;
-        const endSubtick = timelineMarkers.end.subtick;
-        
-        // Convert to comparable values (year.subtick format)
-        const startValue = year + (subtick / timelineState.granularity);
-        const endValue = endYear + (endSubtick / timelineState.granularity);
-        
+        const endDate = TimelineDate.fromMarker(timelineMarkers.end);
+
         // Start must be before end
-        if (startValue >= endValue) {
-            // Calculate the latest valid position (one year before end)
-            const validYear = endYear - 1;
-            const validSubtick = 0;
-            
+        if (!new TimelineDate(year, subtick).isBefore(endDate)) {
+            // The latest valid position is one subtick before the end
+            const validDate = endDate.add(0, -1).format();
+
             if (window.showError) {
-                window.showError(`Timeline start must be before the end marker. The latest valid position is ${validYear}.${validSubtick}`);
+                window.showError(`Timeline start must be before the end marker. The latest valid position is ${validDate}`);
             } else {
-                console.error(`Timeline start must be before the end marker. The latest valid position is ${validYear}.${validSubtick}`);
+                console.error(`Timeline start must be before the end marker. The latest valid position is ${validDate}`);
             }
             return;
         }
@@ -2581,6 +6176,7 @@ function setTimelineStart() {
     };
 
     // Send the item to the main process
+    expectHistoryChange('Set timeline start');
     window.api.send('addTimelineItem', item);
     
     // Refresh timeline to update markers
@@ -2593,6 +6189,7 @@ function removeTimelineStart() {
     const startMarker = timelineState.items.find(item => item.type === 'Timeline_start');
     if (startMarker) {
         // Send delete request to main process using the correct channel
+        expectHistoryChange('Remove timeline start');
         window.api.send('removeItem', startMarker.id);
         // Update state immediately
         timelineMarkers.start = null;
@@ -2610,6 +6207,7 @@ function removeTimelineEnd() {
     const endMarker = timelineState.items.find(item => item.type === 'Timeline_end');
     if (endMarker) {
         // Send delete request to main process using the correct channel
+        expectHistoryChange('Remove timeline end');
         window.api.send('removeItem', endMarker.id);
         // Update state immediately
         timelineMarkers.end = null;
@@ -2633,23 +6231,17 @@ function setTimelineEnd() {
 
     // Check if there's a start marker and validate position
     if (timelineMarkers.start) {
-        const startYear = timelineMarkers.start.year;
-        const startSubtick = timelineMarkers.start.subtick;
-        
-        // Convert to comparable values (year.subtick format)
-        const startValue = startYear + (startSubtick / timelineState.granularity);
-        const endValue = year + (subtick / timelineState.granularity);
-        
+        const startDate = TimelineDate.fromMarker(timelineMarkers.start);
+
         // End must be after start
-        if (endValue <= startValue) {
-            // Calculate the earliest valid position (one year after start)
-            const validYear = startYear + 1;
-            const validSubtick = 0;
-            
+        if (!new TimelineDate(year, subtick).isAfter(startDate)) {
+            // The earliest valid position is one subtick after the start
+            const validDate = startDate.add(0, 1).format();
+
             if (window.showError) {
-                window.showError(`Timeline end must be after the start marker. The earliest valid position is ${validYear}.${validSubtick}`);
+                window.showError(`Timeline end must be after the start marker. The earliest valid position is ${validDate}`);
             } else {
-                console.error(`Timeline end must be after the start marker. The earliest valid position is ${validYear}.${validSubtick}`);
+                console.error(`Timeline end must be after the start marker. The earliest valid position is ${validDate}`);
             }
             return;
         }
@@ -2672,6 +6264,7 @@ function setTimelineEnd() {
     };
 
     // Send the item to the main process
+    expectHistoryChange('Set timeline end');
     window.api.send('addTimelineItem', item);
     
     // Refresh timeline to update markers
@@ -2681,91 +6274,705 @@ function setTimelineEnd() {
 // Function to refresh timeline items
 function refreshTimeline() {
     // Send request to get all items
+    requestedItemLists++;
     window.api.send('get-all-items');
 }
 
 // Add listener for the response
 window.api.receive('all-items', (items) => {
+    syncItemHistory(items);
+    checkPendingItemSaves(items);
     timelineState.items = items;
+    pruneSelection();
+    rebuildItemIndex();
+    // A resized or restored Period is re-created under a new id, which has no stack level yet
+    if (rangeItemIndex.entries.some(entry => entry.item.type === 'Period' && !(entry.item.id in periodStackLevels))) {
+        computePeriodStackLevels();
+    }
+    resetRenderedItemElements(); // Item contents may have changed, rebuild their elements
     checkTimelineMarkers(); // Check markers after items are refreshed
     renderTimeline();
 });
 
+// ===== Edit History =====
+// Items are added and edited in separate windows and saved by the main process, so the
+// renderer learns what an action did by comparing each item list with the one before it.
+// Every difference becomes a history entry holding the IPC operations that reverse it,
+// using only the channels the main process handles:
+// - added items are undone with 'removeItem'
+// - removed items (including boundary markers) are re-created with 'addTimelineItem'
+// - edited items are removed and their previous version re-created
+// An undo or redo is answered by the next item list; if that list doesn't show the
+// operations' result, the step is reported and the entry stays where it was.
+const MAX_HISTORY_ENTRIES = 100;
+const HISTORY_PANEL_ROWS = 20;
+const RENDERER_ITEM_FIELDS = ['item_index']; // Set by the renderer, never part of an edit
+
+const undoStack = []; // Oldest first: { label, undo: [op], redo: [op] }, op = { channel, args }
+const redoStack = [];
+let knownItems = null;          // id -> item copy from the last item list
+let pendingHistoryLabel = null; // Label for the change the next item list brings
+let replaying = null;           // Undo/redo waiting for its re-sync: { entry, ops, isUndo }
+let queuedHistorySteps = 0;     // Further steps requested from the panel: > 0 undo, < 0 redo
+
+/**
+ * Copies an item without the fields the renderer adds to it
+ * @param {Object} item - Timeline item
+ * @returns {Object} Detached copy
+ */
+function copyHistoryItem(item) {
+    const copy = JSON.parse(JSON.stringify(item));
+    RENDERER_ITEM_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+/**
+ * Starts a fresh history for a newly loaded timeline
+ * @param {Array<Object>} items - Items of the loaded timeline
+ */
+function resetEditHistory(items) {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    pendingHistoryLabel = null;
+    replaying = null;
+    queuedHistorySteps = 0;
+    knownItems = new Map(items.map(item => [String(item.id), copyHistoryItem(item)]));
+    updateHistoryPanel();
+}
+
+/**
+ * Names the change the next item list will bring, instead of the generated description
+ * @param {string} label - History label (e.g. 'Set timeline start')
+ */
+function expectHistoryChange(label) {
+    pendingHistoryLabel = label;
+}
+
+/**
+ * Compares the last known items with a new item list
+ * @param {Map<string, Object>} previous - id -> item copy
+ * @param {Map<string, Object>} current - id -> item copy
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<{before: Object, after: Object}>}} Differences
+ */
+function diffItemLists(previous, current) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+    current.forEach((item, id) => {
+        const before = previous.get(id);
+        if (!before) {
+            added.push(item);
+        } else if (JSON.stringify(before) !== JSON.stringify(item)) {
+            changed.push({ before, after: item });
+        }
+    });
+    previous.forEach((item, id) => {
+        if (!current.has(id)) removed.push(item);
+    });
+    return { added, removed, changed };
+}
+
+/**
+ * Describes a change for the history panel
+ * @param {{added: Array, removed: Array, changed: Array}} diff - Differences from diffItemLists
+ * @returns {string} Label such as 'Add Event "Coronation"' or 'Edit 3 items'
+ */
+function describeItemChange({ added, removed, changed }) {
+    const describeOne = (verb, item) => `${verb} ${(item.type || 'item').replace(/_/g, ' ')} "${item.title || '(No Title)'}"`;
+    const count = added.length + removed.length + changed.length;
+    if (count === 1) {
+        if (added.length) return describeOne('Add', added[0]);
+        if (removed.length) return describeOne('Delete', removed[0]);
+        return describeOne('Edit', changed[0].after);
+    }
+    if (count === added.length) return `Add ${count} items`;
+    if (count === removed.length) return `Delete ${count} items`;
+    return `Edit ${count} items`;
+}
+
+/**
+ * Points every history operation at an item's new id (re-created items get new ids)
+ * @param {string} oldId - Id the operations use
+ * @param {string} newId - Id of the re-created item
+ */
+function remapHistoryItemId(oldId, newId) {
+    [...undoStack, ...redoStack].forEach(entry => {
+        [...entry.undo, ...entry.redo].forEach(op => {
+            if (op.channel === 'removeItem' && String(op.args[0]) === oldId) {
+                op.args[0] = newId;
+            } else if (op.args[0] && typeof op.args[0] === 'object' && String(op.args[0].id) === oldId) {
+                op.args[0].id = newId;
+            }
+        });
+    });
+}
+
+/**
+ * Whether an item in a new list is the one an 'addTimelineItem' operation re-created
+ * @param {Object} item - Item new in the list
+ * @param {Object} wanted - Item the operation sent
+ * @returns {boolean} True if type, title and date agree (the id is given by the main process)
+ */
+function isRecreatedItem(item, wanted) {
+    return item.type === wanted.type && item.title === wanted.title &&
+        TimelineDate.fromItem(item).equals(TimelineDate.fromItem(wanted)) &&
+        TimelineDate.fromItem(item, true).equals(TimelineDate.fromItem(wanted, true));
+}
+
+/**
+ * Checks whether the current items show the result of every replayed operation
+ * @param {Array<Object>} ops - Replayed operations
+ * @returns {boolean} True if every re-created item is there and every removed one is gone
+ */
+function isReplayApplied(ops) {
+    const items = Array.from(knownItems.values());
+    // An edit removes and re-creates the same item; the main process may keep its id
+    const recreatedIds = new Set(ops.filter(op => op.channel === 'addTimelineItem').map(op => String(op.args[0].id)));
+    return ops.every(op => {
+        if (op.channel === 'removeItem') {
+            return recreatedIds.has(String(op.args[0])) || !knownItems.has(String(op.args[0]));
+        }
+        return items.some(item => isRecreatedItem(item, op.args[0]));
+    });
+}
+
+/**
+ * Finishes an undo/redo once its re-sync arrived, putting the entry back if it didn't apply
+ * @param {{added: Array}} diff - Differences the re-sync brought
+ * @returns {boolean} True if the re-sync was the undo/redo's result
+ */
+function finishHistoryReplay(diff) {
+    const { entry, ops, isUndo } = replaying;
+    replaying = null;
+    if (isReplayApplied(ops)) {
+        // Only the ids of re-created items matter
+        remapRecreatedItems(ops, diff.added);
+        return true;
+    }
+
+    (isUndo ? redoStack : undoStack).pop();
+    (isUndo ? undoStack : redoStack).push(entry);
+    queuedHistorySteps = 0;
+    const message = `Couldn't ${isUndo ? 'undo' : 'redo'} "${entry.label}": the timeline didn't change as expected`;
+    if (window.showError) {
+        window.showError(message);
+    } else {
+        console.error(message);
+    }
+    return false;
+}
+
+/**
+ * Matches re-created items to the operations that re-created them and updates their ids
+ * @param {Array<Object>} ops - Replayed operations
+ * @param {Array<Object>} added - Items new in this item list
+ */
+function remapRecreatedItems(ops, added) {
+    const unmatched = [...added];
+    ops.filter(op => op.channel === 'addTimelineItem').forEach(op => {
+        const wanted = op.args[0];
+        const index = unmatched.findIndex(item => isRecreatedItem(item, wanted));
+        if (index === -1) return;
+        const [item] = unmatched.splice(index, 1);
+        if (String(item.id) !== String(wanted.id)) {
+            remapHistoryItemId(String(wanted.id), String(item.id));
+        }
+    });
+}
+
+/**
+ * Records the difference between the last known items and a new item list
+ * @param {Array<Object>} items - Item list from 'all-items'
+ */
+function syncItemHistory(items) {
+    const previous = knownItems;
+    knownItems = new Map(items.map(item => [String(item.id), copyHistoryItem(item)]));
+    if (!previous) return; // Nothing to compare the first list with
+
+    const diff = diffItemLists(previous, knownItems);
+    // The first list after an undo/redo answers it; a failed step leaves its changes, if
+    // any, to be recorded like any other edit
+    if (replaying && finishHistoryReplay(diff)) {
+        continueHistoryReplay();
+        updateHistoryPanel();
+        return;
+    }
+    if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+        pendingHistoryLabel = null;
+        updateHistoryPanel();
+        return;
+    }
+
+    const entry = {
+        label: pendingHistoryLabel || describeItemChange(diff),
+        undo: [
+            ...diff.added.map(item => ({ channel: 'removeItem', args: [item.id] })),
+            ...diff.removed.map(item => ({ channel: 'addTimelineItem', args: [copyHistoryItem(item)] })),
+            ...diff.changed.flatMap(({ before, after }) => [
+                { channel: 'removeItem', args: [after.id] },
+                { channel: 'addTimelineItem', args: [copyHistoryItem(before)] }
+            ])
+        ],
+        redo: [
+            ...diff.added.map(item => ({ channel: 'addTimelineItem', args: [copyHistoryItem(item)] })),
+            ...diff.removed.map(item => ({ channel: 'removeItem', args: [item.id] })),
+            ...diff.changed.flatMap(({ before, after }) => [
+                { channel: 'removeItem', args: [before.id] },
+                { channel: 'addTimelineItem', args: [copyHistoryItem(after)] }
+            ])
+        ]
+    };
+    pendingHistoryLabel = null;
+    undoStack.push(entry);
+    if (undoStack.length > MAX_HISTORY_ENTRIES) undoStack.shift();
+    redoStack.length = 0;
+    updateHistoryPanel();
+}
+
+/**
+ * Sends an entry's undo or redo operations and re-syncs the items
+ * @param {Object} entry - History entry
+ * @param {boolean} isUndo - Send the undo operations (false for redo)
+ *
+ * The step is only known to have worked once the re-sync arrives (see finishHistoryReplay).
+ */
+function replayHistoryOps(entry, isUndo) {
+    const ops = isUndo ? entry.undo : entry.redo;
+    replaying = { entry, ops, isUndo };
+    ops.forEach(op => window.api.send(op.channel, ...op.args));
+    refreshTimeline();
+    updateHistoryPanel();
+}
+
+/**
+ * Undoes the latest timeline edit
+ * @returns {boolean} False if there is nothing to undo or an undo/redo is still syncing
+ */
+function undoTimelineEdit() {
+    if (replaying || undoStack.length === 0) return false;
+    const entry = undoStack.pop();
+    redoStack.push(entry);
+    replayHistoryOps(entry, true);
+    return true;
+}
+
+/**
+ * Redoes the latest undone timeline edit
+ * @returns {boolean} False if there is nothing to redo or an undo/redo is still syncing
+ */
+function redoTimelineEdit() {
+    if (replaying || redoStack.length === 0) return false;
+    const entry = redoStack.pop();
+    undoStack.push(entry);
+    replayHistoryOps(entry, false);
+    return true;
+}
+
+/**
+ * Runs the next step of a multi-step jump from the history panel
+ */
+function continueHistoryReplay() {
+    if (queuedHistorySteps > 0) {
+        queuedHistorySteps--;
+        if (!undoTimelineEdit()) queuedHistorySteps = 0;
+    } else if (queuedHistorySteps < 0) {
+        queuedHistorySteps++;
+        if (!redoTimelineEdit()) queuedHistorySteps = 0;
+    }
+}
+
+/**
+ * Undoes or redoes until the given entry is the latest applied one
+ * @param {number} steps - Positive to undo that many entries, negative to redo
+ */
+function stepHistory(steps) {
+    if (replaying || steps === 0) return;
+    queuedHistorySteps = steps;
+    continueHistoryReplay();
+}
+
+/**
+ * Fills the history panel with the recent entries, newest first
+ */
+function updateHistoryPanel() {
+    const panel = document.getElementById('timeline-history-panel');
+    if (!panel || panel.style.display === 'none') return;
+
+    const list = panel.querySelector('ol');
+    list.innerHTML = '';
+    // Undone entries sit above the current position, greyed out; at most half the rows
+    // go to them so the current position stays in view
+    const rows = [
+        ...redoStack.map((entry, index) => ({ entry, steps: index - redoStack.length, undone: true })),
+        ...undoStack.slice().reverse().map((entry, index) => ({ entry, steps: index, undone: false }))
+    ].slice(Math.max(0, redoStack.length - HISTORY_PANEL_ROWS / 2)).slice(0, HISTORY_PANEL_ROWS);
+
+    rows.forEach(({ entry, steps, undone }) => {
+        const row = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = entry.label;
+        button.title = undone ? 'Redo up to here' : (steps === 0 ? 'Latest change' : 'Undo back to here');
+        Object.assign(button.style, {
+            display: 'block',
+            width: '100%',
+            textAlign: 'left',
+            border: 'none',
+            background: steps === 0 ? '#4a90e222' : 'transparent',
+            opacity: undone ? '0.5' : '1',
+            padding: '2px 4px',
+            cursor: 'pointer'
+        });
+        button.disabled = !!replaying;
+        button.addEventListener('click', () => stepHistory(steps));
+        row.appendChild(button);
+        list.appendChild(row);
+    });
+
+    if (rows.length === 0) {
+        const row = document.createElement('li');
+        row.textContent = 'No changes yet';
+        row.style.opacity = '0.5';
+        list.appendChild(row);
+    }
+
+    panel.querySelector('[data-action="undo"]').disabled = !!replaying || undoStack.length === 0;
+    panel.querySelector('[data-action="redo"]').disabled = !!replaying || redoStack.length === 0;
+}
+
+/**
+ * Shows or hides the history panel, creating it on first use
+ */
+function toggleHistoryPanel() {
+    let panel = document.getElementById('timeline-history-panel');
+    if (panel) {
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        updateHistoryPanel();
+        return;
+    }
+
+    panel = document.createElement('div');
+    panel.id = 'timeline-history-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Edit history');
+    Object.assign(panel.style, {
+        position: 'fixed',
+        top: '10px',
+        right: '10px',
+        width: '240px',
+        maxHeight: '50vh',
+        overflowY: 'auto',
+        padding: '8px',
+        backgroundColor: '#fffdf8',
+        border: '1px solid #00000033',
+        borderRadius: '4px',
+        boxShadow: '0 2px 8px #00000033',
+        font: '13px sans-serif',
+        zIndex: '1000'
+    });
+
+    const toolbar = document.createElement('div');
+    toolbar.style.display = 'flex';
+    toolbar.style.gap = '4px';
+    toolbar.style.marginBottom = '6px';
+    [['undo', 'Undo', undoTimelineEdit], ['redo', 'Redo', redoTimelineEdit], ['close', 'Close', toggleHistoryPanel]].forEach(([action, label, handler]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.action = action;
+        button.textContent = label;
+        button.addEventListener('click', () => handler());
+        toolbar.appendChild(button);
+    });
+    panel.appendChild(toolbar);
+
+    const list = document.createElement('ol');
+    list.style.listStyle = 'none';
+    list.style.margin = '0';
+    list.style.padding = '0';
+    panel.appendChild(list);
+
+    document.body.appendChild(panel);
+    updateHistoryPanel();
+}
+
+// Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes, Ctrl+H shows the history
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    // Text fields keep their own undo
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        undoTimelineEdit();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        redoTimelineEdit();
+    } else if (key === 'h' && !e.shiftKey) {
+        toggleHistoryPanel();
+    } else {
+        return;
+    }
+    e.preventDefault();
+});
+
+window.undoTimelineEdit = undoTimelineEdit;
+window.redoTimelineEdit = redoTimelineEdit;
+window.toggleHistoryPanel = toggleHistoryPanel;
+
+// ===== Date Expressions =====
+const YEAR_UNIT_WORDS = ['y', 'yr', 'yrs', 'year', 'years'];
+// Accepted for relative subtick offsets regardless of calendar ("-3 seasons", "+2 months")
+const SUBTICK_UNIT_WORDS = ['s', 'st', 'subtick', 'subticks', 'season', 'seasons', 'month', 'months', 'week', 'weeks', 'day', 'days'];
+const MAX_JUMP_SUGGESTIONS = 20;
+
+/**
+ * Reads the date at the center of the view
+ * @returns {TimelineDate} Center date
+ */
+function getCenterDate() {
+    const containerRect = container.getBoundingClientRect();
+    return TimelineDate.fromFractionalYear(calculateYearFromPosition(containerRect.width / 2 + containerRect.left));
+}
+
+/**
+ * Checks whether a word names a subtick unit for relative offsets
+ * @param {string} unit - Lower-case unit word
+ * @returns {boolean} True for generic subtick words and the calendar's own unit
+ */
+function isSubtickUnit(unit) {
+    if (SUBTICK_UNIT_WORDS.includes(unit)) return true;
+    const calendarUnit = timelineCalendar && timelineCalendar.subtickUnit ? timelineCalendar.subtickUnit.toLowerCase() : null;
+    return !!calendarUnit && (unit === calendarUnit || unit === `${calendarUnit}s`);
+}
+
+/**
+ * Parses a relative offset such as "+25y" or "-3 seasons"
+ * @param {string} text - Trimmed text
+ * @returns {{years: number, subticks: number, error: string|null}|null} Offset, or null if the text isn't an offset
+ */
+function parseDateOffset(text) {
+    const relative = text.match(/^([+-])\s*(\d+)\s*([a-z]+)$/i);
+    if (!relative) return null;
+
+    const amount = parseInt(relative[2]) * (relative[1] === '-' ? -1 : 1);
+    const unit = relative[3].toLowerCase();
+    if (YEAR_UNIT_WORDS.includes(unit)) {
+        return { years: amount, subticks: 0, error: null };
+    }
+    if (isSubtickUnit(unit)) {
+        return { years: 0, subticks: amount, error: null };
+    }
+    return { years: 0, subticks: 0, error: `Unknown unit "${relative[3]}"; use years (y) or subticks` };
+}
+
+/**
+ * Finds the item whose title a jump expression names
+ * @param {string} text - Title text
+ * @returns {{item: Object|null, error: string|null}} Matching item, or why none was picked
+ */
+function findItemByTitle(text) {
+    const query = text.trim().toLowerCase();
+    const titled = timelineState.items.filter(item => item && item.title
+        && item.type !== 'Timeline_start' && item.type !== 'Timeline_end');
+
+    const exact = titled.find(item => item.title.toLowerCase() === query);
+    if (exact) return { item: exact, error: null };
+
+    const partial = titled.filter(item => item.title.toLowerCase().includes(query));
+    if (partial.length === 1) return { item: partial[0], error: null };
+    if (partial.length > 1) {
+        return { item: null, error: `"${text}" matches ${partial.length} items; pick one from the list` };
+    }
+    return { item: null, error: null };
+}
+
+/**
+ * Parses the text of the jump-to-date box
+ * @param {string} text - Date expression
+ * @returns {{date: TimelineDate|null, error: string|null}} Parsed date, or a message for the user
+ *
+ * Accepted forms:
+ * - "1204", "1204.7", "1204/7": year with optional subtick (the subtick is a whole number, not a fraction)
+ * - Calendar dates such as "Hammer 1204" when the timeline has a calendar
+ * - Secondary calendar dates such as "Elven 520.3" when a secondary axis is set
+ * - "+25y", "-3 seasons": offsets from the center of the view
+ * - An item or bookmark title
+ */
+function parseDateExpression(text) {
+    const value = (text || '').trim();
+    const granularity = timelineState.granularity;
+    if (!value) {
+        return { date: null, error: 'Enter a date, an offset like +25y or an item title' };
+    }
+
+    const offset = parseDateOffset(value);
+    if (offset) {
+        if (offset.error) {
+            return { date: null, error: offset.error };
+        }
+        return { date: getCenterDate().add(offset.years, offset.subticks), error: null };
+    }
+
+    const secondaryValue = parseSecondaryDate(value);
+    if (secondaryValue !== null) {
+        return { date: TimelineDate.fromFractionalYear(secondaryValue), error: null };
+    }
+
+    const calendarDate = parseCalendarDate(value);
+    if (calendarDate) {
+        return { date: new TimelineDate(calendarDate.year, calendarDate.subtick), error: null };
+    }
+
+    const numeric = value.match(/^(-?\d+)(?:\s*[./]\s*(\d+))?$/);
+    if (numeric) {
+        const subtick = numeric[2] !== undefined ? parseInt(numeric[2]) : 0;
+        if (subtick >= granularity) {
+            return { date: null, error: `Subtick must be between 0 and ${granularity - 1}` };
+        }
+        return { date: new TimelineDate(parseInt(numeric[1]), subtick), error: null };
+    }
+
+    const { item, error } = findItemByTitle(value);
+    if (item) {
+        return { date: TimelineDate.fromItem(item), error: null };
+    }
+    return { date: null, error: error || `Couldn't read "${value}" as a date or item title` };
+}
+
+/**
+ * Shows or clears the inline error under the jump-to-date box
+ * @param {HTMLInputElement} input - Jump-to-date input
+ * @param {string|null} message - Error text, or null to clear
+ */
+function setJumpInputError(input, message) {
+    let errorEl = document.getElementById('jump-to-date-error');
+    if (!errorEl && message) {
+        errorEl = document.createElement('div');
+        errorEl.id = 'jump-to-date-error';
+        errorEl.className = 'jump-to-date-error';
+        errorEl.setAttribute('role', 'alert');
+        input.insertAdjacentElement('afterend', errorEl);
+    }
+    input.classList.toggle('invalid', !!message);
+    input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    if (errorEl) {
+        errorEl.textContent = message || '';
+        errorEl.style.display = message ? 'block' : 'none';
+    }
+}
+
+/**
+ * Fills the jump-to-date box's suggestion list with item titles matching its text
+ * @param {HTMLInputElement} input - Jump-to-date input
+ */
+function updateJumpSuggestions(input) {
+    let list = document.getElementById('jump-to-date-suggestions');
+    if (!list) {
+        list = document.createElement('datalist');
+        list.id = 'jump-to-date-suggestions';
+        document.body.appendChild(list);
+        input.setAttribute('list', list.id);
+    }
+
+    const query = input.value.trim().toLowerCase();
+    list.innerHTML = '';
+    // Dates and offsets don't need title suggestions
+    if (!query || /^[+-]?\d/.test(query)) return;
+
+    timelineState.items
+        .filter(item => item && item.title && item.type !== 'Timeline_start' && item.type !== 'Timeline_end'
+            && item.title.toLowerCase().includes(query))
+        .slice(0, MAX_JUMP_SUGGESTIONS)
+        .forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.title;
+            option.label = `${item.type} · ${formatItemDate(item)}`;
+            list.appendChild(option);
+        });
+}
+
+/**
+ * Wires suggestions and error clearing to the jump-to-date box
+ */
+function initializeJumpInput() {
+    const input = document.getElementById('jump-to-date');
+    if (!input) return;
+    input.addEventListener('input', () => {
+        setJumpInputError(input, null);
+        updateJumpSuggestions(input);
+    });
+}
+
+initializeJumpInput();
+
 /**
  * Jumps to a specific date (year and subtick)
+ * @param {number|null} i_year - Target year, or null to read the jump-to-date box
+ * @param {number|null} i_subtick - Target subtick
+ * @param {boolean} animate - False to jump without animating (see navigateTo)
  * 
  * How it works:
- * 1. Gets the target year and subtick from input
+ * 1. Gets the target year and subtick, or parses the jump-to-date box (see parseDateExpression)
  * 2. Checks if target is before start marker
  * 3. Updates focus year
  * 4. Calculates offset to center the target date
  * 5. Re-renders timeline
  * 
  * Possible errors:
- * - Invalid input
+ * - Invalid input (shown inline under the jump-to-date box)
  * - Render failure
  */
-function jumpToDate(i_year = null, i_subtick = null) {
-    const floatYear = i_year + (i_subtick / timelineState.granularity);
-    let value = 0;
-    if(!i_year) {
-        const input = document.getElementById('jump-to-date');
-        value = parseFloat(input.value);
+function jumpToDate(i_year = null, i_subtick = null, animate = true) {
+    const input = document.getElementById('jump-to-date');
+    let date;
+    if(i_year === null) {
+        if (!input) return;
+        const parsed = parseDateExpression(input.value);
+        if (!parsed.date) {
+            setJumpInputError(input, parsed.error);
+            return;
+        }
+        setJumpInputError(input, null);
+        date = parsed.date;
     } else {
-        value = floatYear;
+        date = TimelineDate.fromFractionalYear(i_year + ((i_subtick || 0) / timelineState.granularity));
     }
     
-    let year = Math.floor(value);
-    let subtick = Math.round((value - year) * timelineState.granularity);
-    
     // Check if there's a start marker and if target is before it
     if (timelineMarkers.start) {
-        const startYear = timelineMarkers.start.year;
-        const startSubtick = timelineMarkers.start.subtick;
-        
-        // Convert to comparable values (year.subtick format)
-        const targetValue = year + (subtick / timelineState.granularity);
-        const startValue = startYear + (startSubtick / timelineState.granularity);
+        const startDate = TimelineDate.fromMarker(timelineMarkers.start);
         
         // If target is before start marker, reroute to start marker
-        if (targetValue < startValue) {
-            year = startYear;
-            subtick = startSubtick;
+        if (date.isBefore(startDate)) {
+            date = startDate;
             // Update input value to show the actual position
-            input = document.getElementById('jump-to-date');
-            if(!input) return;
-            input.value = `${year}.${subtick.toString().padStart(2, '0')}`;
+            if (input) input.value = date.formatPlain('.', 2);
         }
     }
 
     // Check if there's an end marker and if target is after it
     if (timelineMarkers.end) {
-        const endYear = timelineMarkers.end.year;
-        const endSubtick = timelineMarkers.end.subtick;
-        
-        // Convert to comparable values (year.subtick format)
-        const targetValue = year + (subtick / timelineState.granularity);
-        const endValue = endYear + (endSubtick / timelineState.granularity);
+        const endDate = TimelineDate.fromMarker(timelineMarkers.end);
         
         // If target is after end marker, reroute to end marker
-        if (targetValue > endValue) {
-            year = endYear;
-            subtick = endSubtick;
+        if (date.isAfter(endDate)) {
+            date = endDate;
             // Update input value to show the actual position
-            input.value = `${year}.${subtick.toString().padStart(2, '0')}`;
+            if (input) input.value = date.formatPlain('.', 2);
         }
     }
     
-    // Update focus year
-    timelineState.focusYear = year;
-    
-    // Calculate offset to center the target date
-    const containerRect = container.getBoundingClientRect();
-    const centerX = containerRect.width / 2;
-    const targetX = centerX + (year + subtick / timelineState.granularity - timelineState.focusYear) * timelineState.pixelsPerSubtick * timelineState.granularity;
-    timelineState.offsetPx = centerX - targetX;
-    
-    renderTimeline();
+    navigateTo(date.toFractionalYear(), () => {
+        // Update focus year
+        timelineState.focusYear = date.year;
+
+        // Calculate offset to center the target date
+        const containerRect = container.getBoundingClientRect();
+        const centerX = containerRect.width / 2;
+        const targetX = centerX + (date.toFractionalYear() - timelineState.focusYear) * timelineState.pixelsPerSubtick * timelineState.granularity;
+        timelineState.offsetPx = centerX - targetX;
+
+        renderTimeline();
+    }, animate);
 }
 
 /**
@@ -2839,6 +7046,7 @@ function generatePastelColor() {
 window.jumpToDate = jumpToDate;
 window.jumpToYear = jumpToYear;
 window.scrollBy = scrollBy;
+window.zoomAt = zoomAt;
 window.setInitialSettings = setInitialSettings;
 window.openEditAgeOrPeriod = openEditAgeOrPeriod;
 window.setTimelineStart = setTimelineStart;
@@ -2880,7 +7088,7 @@ container.addEventListener('click', function(e) {
     hideContextMenu();
     
     // Don't show selector if clicking on an existing item
-    if (e.target.closest('.timeline-item-box, .timeline-age-item, .timeline-period-item')) {
+    if (e.target.closest('.timeline-item-box, .timeline-picture-box, .timeline-age-item, .timeline-period-item, .timeline-bookmark-line, .timeline-bookmark-dot, .timeline-cluster-badge')) {
         return;
     }
 
@@ -2904,41 +7112,17 @@ container.addEventListener('click', function(e) {
     
     // Calculate year and subtick using the same logic as the hover marker
     const floatYear = calculateYearFromPosition(x);
-    const step = 1 / timelineState.granularity;
-    const snapped = Math.round(floatYear / step) * step;
-
-    let year, subtick;
-    if (snapped >= 0) {
-        year = Math.floor(snapped);
-        subtick = Math.round((snapped - year) * timelineState.granularity);
-    } else {
-        year = Math.ceil(snapped);
-        subtick = Math.round((snapped - year) * timelineState.granularity);
-    }
-
-    subtick = Math.abs(subtick);
-
-    // Clamp subtick to [0, granularity-1]
-    if (subtick >= timelineState.granularity) {
-        year += (snapped >= 0 ? 1 : -1);
-        subtick = 0;
-    }
+    const date = TimelineDate.fromFractionalYear(floatYear);
+    const year = date.year;
+    const subtick = date.subtick;
 
     // Check if position is within timeline boundaries
-    const position = year + (subtick / timelineState.granularity);
-    
-    if (timelineMarkers.start) {
-        const startValue = timelineMarkers.start.year + (timelineMarkers.start.subtick / timelineState.granularity);
-        if (position < startValue) {
-            return; // Don't show selector if before start marker
-        }
+    if (timelineMarkers.start && date.isBefore(TimelineDate.fromMarker(timelineMarkers.start))) {
+        return; // Don't show selector if before start marker
     }
-    
-    if (timelineMarkers.end) {
-        const endValue = timelineMarkers.end.year + (timelineMarkers.end.subtick / timelineState.granularity);
-        if (position > endValue) {
-            return; // Don't show selector if after end marker
-        }
+
+    if (timelineMarkers.end && date.isAfter(TimelineDate.fromMarker(timelineMarkers.end))) {
+        return; // Don't show selector if after end marker
     }
 
     // Position the selector
@@ -3029,7 +7213,7 @@ container.addEventListener('mouseout', (e) => {
 // ===== Initialization =====
 document.addEventListener("DOMContentLoaded", () => {
     window.setTimeout(() => {
-        jumpToYear(timelineState.focusYear);
+        jumpToYear(timelineState.focusYear, false);
     }, 200);
 });
 